@@ -0,0 +1,50 @@
+// Named permissions checked by requirePermission(...)
+const PERMISSIONS = [
+  'products:write',
+  'categories:write',
+  'inventory:read',
+  'inventory:write',
+  'reviews:moderate',
+  'coupons:read',
+  'coupons:write',
+  'orders:read',
+  'orders:write',
+  'orders:refund',
+  'users:read',
+  'users:write',
+  'roles:assign',
+  'analytics:read',
+  'audit:read'
+];
+
+// What each role may do. 'user' is a plain customer and only has self-service access.
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: ['orders:read', 'users:read', 'reviews:moderate', 'coupons:read'],
+  'catalog-manager': [
+    'products:write', 'categories:write', 'inventory:read', 'inventory:write',
+    'reviews:moderate', 'coupons:read', 'coupons:write'
+  ],
+  'order-manager': ['orders:read', 'orders:write', 'orders:refund', 'users:read', 'inventory:read', 'analytics:read'],
+  admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permissions granted to a role (empty for unknown roles)
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Check a request user ({ role }) against one or more permissions (all required)
+const hasPermission = (user, ...permissions) => {
+  if (!user) return false;
+  const granted = getRolePermissions(user.role);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getRolePermissions,
+  hasPermission
+};
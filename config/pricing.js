@@ -0,0 +1,55 @@
+const { findState } = require('./indianStates');
+
+// GST slabs (percent) a product or category may use
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// Read a JSON array of tiers from the environment, falling back to the defaults
+const parseTiers = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    const tiers = JSON.parse(value);
+    if (Array.isArray(tiers) && tiers.length) return tiers;
+  } catch (error) {
+    console.error('Invalid shipping tier configuration, using defaults:', error.message);
+  }
+  return fallback;
+};
+
+const sellerState = findState(process.env.SELLER_STATE || 'Karnataka');
+if (!sellerState) throw new Error(`Unknown SELLER_STATE: ${process.env.SELLER_STATE}`);
+
+const shippingBasis = process.env.SHIPPING_RATE_BASIS || 'order-value';
+if (!['order-value', 'weight'].includes(shippingBasis)) {
+  throw new Error(`SHIPPING_RATE_BASIS must be order-value or weight, got ${shippingBasis}`);
+}
+
+module.exports = {
+  GST_RATES,
+  // State the goods ship from; decides CGST/SGST (same state) versus IGST
+  SELLER_STATE: sellerState,
+  SELLER_GSTIN: process.env.SELLER_GSTIN || '',
+  // Printed on invoices
+  SELLER_NAME: process.env.SELLER_NAME || 'AngEcom',
+  SELLER_ADDRESS: process.env.SELLER_ADDRESS || '',
+  // Catalogue prices are GST-inclusive (MRP style) unless PRICES_INCLUDE_GST=false
+  PRICES_INCLUDE_GST: process.env.PRICES_INCLUDE_GST !== 'false',
+  // Used when neither the product nor any of its categories sets a rate
+  DEFAULT_GST_RATE: Number(process.env.DEFAULT_GST_RATE || 18),
+  // Shipping is a taxable service; charges follow the same inclusive/exclusive rule as prices
+  SHIPPING_GST_RATE: Number(process.env.SHIPPING_GST_RATE || 18),
+  SHIPPING_RATE_BASIS: shippingBasis,
+  // Tiers are checked in order; `upTo` is inclusive and null means "anything above".
+  // Order-value tiers are in rupees of goods after discount, weight tiers in grams.
+  SHIPPING_TIERS: {
+    'order-value': parseTiers(process.env.SHIPPING_ORDER_VALUE_TIERS, [
+      { upTo: 499, charge: 49 },
+      { upTo: null, charge: 0 }
+    ]),
+    weight: parseTiers(process.env.SHIPPING_WEIGHT_TIERS, [
+      { upTo: 500, charge: 40 },
+      { upTo: 2000, charge: 70 },
+      { upTo: 5000, charge: 120 },
+      { upTo: null, charge: 200 }
+    ])
+  }
+};
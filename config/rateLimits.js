@@ -0,0 +1,34 @@
+// Request budgets for rate-limited routes (see middleware/rateLimit.js). Each policy has a
+// window and a maximum per bucket: `ip` counts requests from one address, `account` counts
+// requests naming one account (the email in the body, or the signed-in user). Override a
+// maximum with RATE_LIMIT_<POLICY>_<BUCKET>, e.g. RATE_LIMIT_LOGIN_IP=50.
+const DEFAULT_POLICIES = {
+  login: { windowSeconds: 15 * 60, ip: 20, account: 10 },
+  register: { windowSeconds: 60 * 60, ip: 10 },
+  refresh: { windowSeconds: 60, ip: 30 },
+  'password-reset': { windowSeconds: 60 * 60, ip: 10, account: 5 },
+  'email-verification': { windowSeconds: 60 * 60, ip: 20, account: 5 },
+  search: { windowSeconds: 60, ip: 60 },
+  suggest: { windowSeconds: 60, ip: 120 }
+};
+
+const RATE_LIMIT_BUCKETS = ['ip', 'account'];
+
+const envLimit = (policy, bucket) => {
+  const value = process.env[`RATE_LIMIT_${policy.replace(/-/g, '_').toUpperCase()}_${bucket.toUpperCase()}`];
+  return value !== undefined && value !== '' ? Number(value) : undefined;
+};
+
+const RATE_LIMIT_POLICIES = Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([name, policy]) => {
+  const limits = {};
+  RATE_LIMIT_BUCKETS.forEach(bucket => {
+    const max = envLimit(name, bucket);
+    if (policy[bucket] !== undefined || max !== undefined) limits[bucket] = max !== undefined ? max : policy[bucket];
+  });
+  return [name, { windowSeconds: policy.windowSeconds, ...limits }];
+}));
+
+module.exports = {
+  RATE_LIMIT_BUCKETS,
+  RATE_LIMIT_POLICIES
+};
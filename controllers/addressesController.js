@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const { pickAddressFields } = require('../models/address.schema');
+
+const DEFAULT_FLAGS = {
+  shipping: 'isDefaultShipping',
+  billing: 'isDefaultBilling'
+};
+
+// Make `address` the only default for each flag set to true in `flags`
+const applyDefaultFlags = (user, address, flags) => {
+  Object.values(DEFAULT_FLAGS).forEach(flag => {
+    if (typeof flags[flag] !== 'boolean') return;
+    if (flags[flag]) {
+      user.addresses.forEach(other => { other[flag] = false; });
+    }
+    address[flag] = flags[flag];
+  });
+};
+
+// Load the signed-in user and the address named in the route, answering 400/404 itself when it can't
+const findAddressForRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.addressId)) {
+    res.status(400).json({ message: 'Invalid address ID' });
+    return {};
+  }
+
+  const user = await User.findById(req.user.userId);
+  const address = user && user.addresses.id(req.params.addressId);
+  if (!address) {
+    res.status(404).json({ message: 'Address not found' });
+    return {};
+  }
+  return { user, address };
+};
+
+// List the signed-in user's saved addresses
+const getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('addresses');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json(user.addresses);
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    res.status(500).json({ message: 'Error fetching addresses', error: error.message });
+  }
+};
+
+// Add an address to the address book
+const addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (user.addresses.length >= User.MAX_ADDRESSES) {
+      return res.status(400).json({ message: `You can save at most ${User.MAX_ADDRESSES} addresses` });
+    }
+
+    user.addresses.push(pickAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+    applyDefaultFlags(user, address, req.body);
+    await user.save();
+
+    res.status(201).json(address);
+  } catch (error) {
+    console.error('Error adding address:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error adding address', error: error.message });
+  }
+};
+
+// Update a saved address
+const updateAddress = async (req, res) => {
+  try {
+    const { user, address } = await findAddressForRequest(req, res);
+    if (!address) return;
+
+    address.set(pickAddressFields(req.body));
+    applyDefaultFlags(user, address, req.body);
+    await user.save();
+
+    res.json(address);
+  } catch (error) {
+    console.error('Error updating address:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating address', error: error.message });
+  }
+};
+
+// Make a saved address the default for shipping, billing or both
+const setDefaultAddress = async (req, res) => {
+  try {
+    const types = req.body.type === 'both' ? ['shipping', 'billing'] : [req.body.type];
+    if (!types.every(type => DEFAULT_FLAGS[type])) {
+      return res.status(400).json({ message: 'Type must be one of: shipping, billing, both' });
+    }
+
+    const { user, address } = await findAddressForRequest(req, res);
+    if (!address) return;
+
+    const flags = {};
+    types.forEach(type => { flags[DEFAULT_FLAGS[type]] = true; });
+    applyDefaultFlags(user, address, flags);
+    await user.save();
+
+    res.json(user.addresses);
+  } catch (error) {
+    console.error('Error setting default address:', error);
+    res.status(500).json({ message: 'Error setting default address', error: error.message });
+  }
+};
+
+// Remove a saved address; another address takes over as default if needed
+const deleteAddress = async (req, res) => {
+  try {
+    const { user, address } = await findAddressForRequest(req, res);
+    if (!address) return;
+
+    address.deleteOne();
+    await user.save();
+
+    res.json({ message: 'Address deleted successfully', addresses: user.addresses });
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    res.status(500).json({ message: 'Error deleting address', error: error.message });
+  }
+};
+
+module.exports = {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+};
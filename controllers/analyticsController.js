@@ -0,0 +1,190 @@
+const {
+  parseDateRange,
+  parseInterval,
+  getSalesOverTime,
+  getTopProducts,
+  getTopCategories,
+  getCustomerBreakdown,
+  getInventoryValue,
+  getLowRatedProducts
+} = require('../services/analytics.service');
+const createHttpError = require('../utils/httpError');
+const { toCsvLine } = require('../utils/csv');
+
+const REPORT_FORMATS = ['json', 'csv'];
+const TOP_SORTS = ['quantity', 'revenue'];
+
+const parseLimit = (value, fallback = 10) => Math.min(Math.max(parseInt(value) || fallback, 1), 100);
+
+const parseFormat = (query) => {
+  const format = String(query.format || 'json').toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw createHttpError(400, `Format must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+// YYYY-MM-DD in Indian time, for download file names
+const toDay = (date) => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+// Answer with the report as JSON, or with `rows` as a CSV download when format=csv
+const sendReport = (res, format, { name, range, columns, rows, json }) => {
+  if (format !== 'csv') return res.json(json);
+
+  const suffix = range ? `-${toDay(range.from)}-to-${toDay(range.to)}` : '';
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}${suffix}.csv"`);
+  res.send(toCsvLine(columns) + rows.map(row => toCsvLine(columns.map(column => row[column]))).join(''));
+};
+
+// Revenue, orders and average order value per day, week or month (analytics:read)
+const getSalesReport = async (req, res) => {
+  try {
+    const format = parseFormat(req.query);
+    const range = parseDateRange(req.query);
+    const interval = parseInterval(req.query.interval);
+
+    const report = await getSalesOverTime({ ...range, interval });
+    sendReport(res, format, {
+      name: `sales-by-${interval}`,
+      range,
+      columns: ['period', 'orders', 'items', 'revenue', 'averageOrderValue', 'discount', 'tax', 'shipping'],
+      rows: report.periods,
+      json: { ...range, interval, ...report }
+    });
+  } catch (error) {
+    console.error('Error fetching sales report:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error fetching sales report', error: error.message });
+  }
+};
+
+// Best-selling products, by units sold or revenue (analytics:read)
+const getTopProductsReport = async (req, res) => {
+  try {
+    const format = parseFormat(req.query);
+    const range = parseDateRange(req.query);
+    const sortBy = req.query.sort || 'quantity';
+    if (!TOP_SORTS.includes(sortBy)) {
+      return res.status(400).json({ message: `Sort must be one of: ${TOP_SORTS.join(', ')}` });
+    }
+
+    const products = await getTopProducts({ ...range, sortBy, limit: parseLimit(req.query.limit) });
+    sendReport(res, format, {
+      name: 'top-products',
+      range,
+      columns: ['productId', 'name', 'quantity', 'revenue', 'orders'],
+      rows: products,
+      json: { ...range, sort: sortBy, products }
+    });
+  } catch (error) {
+    console.error('Error fetching top products:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error fetching top products', error: error.message });
+  }
+};
+
+// Best-selling categories, by units sold or revenue (analytics:read)
+const getTopCategoriesReport = async (req, res) => {
+  try {
+    const format = parseFormat(req.query);
+    const range = parseDateRange(req.query);
+    const sortBy = req.query.sort || 'revenue';
+    if (!TOP_SORTS.includes(sortBy)) {
+      return res.status(400).json({ message: `Sort must be one of: ${TOP_SORTS.join(', ')}` });
+    }
+
+    const categories = await getTopCategories({ ...range, sortBy, limit: parseLimit(req.query.limit) });
+    sendReport(res, format, {
+      name: 'top-categories',
+      range,
+      columns: ['category', 'quantity', 'revenue', 'products', 'orders'],
+      rows: categories,
+      json: { ...range, sort: sortBy, categories }
+    });
+  } catch (error) {
+    console.error('Error fetching top categories:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error fetching top categories', error: error.message });
+  }
+};
+
+// New versus returning customers per day, week or month (analytics:read)
+const getCustomersReport = async (req, res) => {
+  try {
+    const format = parseFormat(req.query);
+    const range = parseDateRange(req.query);
+    const interval = parseInterval(req.query.interval);
+
+    const periods = await getCustomerBreakdown({ ...range, interval });
+    sendReport(res, format, {
+      name: `customers-by-${interval}`,
+      range,
+      columns: [
+        'period', 'newCustomers', 'returningCustomers', 'newCustomerOrders', 'returningCustomerOrders',
+        'newCustomerRevenue', 'returningCustomerRevenue'
+      ],
+      rows: periods,
+      json: { ...range, interval, periods }
+    });
+  } catch (error) {
+    console.error('Error fetching customer report:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error fetching customer report', error: error.message });
+  }
+};
+
+// Value of stock on hand by category (analytics:read). ?includeInactive=true counts hidden products.
+const getInventoryValueReport = async (req, res) => {
+  try {
+    const format = parseFormat(req.query);
+    const report = await getInventoryValue({ includeInactive: req.query.includeInactive === 'true' });
+    sendReport(res, format, {
+      name: 'inventory-value',
+      columns: ['category', 'products', 'units', 'outOfStock', 'value'],
+      rows: report.categories,
+      json: { generatedAt: new Date(), ...report }
+    });
+  } catch (error) {
+    console.error('Error fetching inventory value:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error fetching inventory value', error: error.message });
+  }
+};
+
+// Products rated at or below ?maxRating (default 3) with at least ?minReviews reviews (analytics:read)
+const getLowRatedReport = async (req, res) => {
+  try {
+    const format = parseFormat(req.query);
+    const maxRating = req.query.maxRating !== undefined ? Number(req.query.maxRating) : 3;
+    const minReviews = req.query.minReviews !== undefined ? Number(req.query.minReviews) : 3;
+
+    if (!Number.isFinite(maxRating) || maxRating < 0 || maxRating > 5) {
+      return res.status(400).json({ message: 'maxRating must be a number from 0 to 5' });
+    }
+    if (!Number.isInteger(minReviews) || minReviews < 1) {
+      return res.status(400).json({ message: 'minReviews must be a whole number of at least 1' });
+    }
+
+    const products = await getLowRatedProducts({ maxRating, minReviews, limit: parseLimit(req.query.limit, 20) });
+    sendReport(res, format, {
+      name: 'low-rated-products',
+      columns: ['_id', 'name', 'category', 'brand', 'price', 'rating', 'ratingCount'],
+      rows: products,
+      json: { maxRating, minReviews, products }
+    });
+  } catch (error) {
+    console.error('Error fetching low-rated products:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error fetching low-rated products', error: error.message });
+  }
+};
+
+module.exports = {
+  getSalesReport,
+  getTopProductsReport,
+  getTopCategoriesReport,
+  getCustomersReport,
+  getInventoryValueReport,
+  getLowRatedReport
+};
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog.model');
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Read ?from= / ?to= as a date or full timestamp; a plain `to` date covers that whole day (UTC)
+const parseDate = (value, { endOfDay = false } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return null;
+  const text = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+// Search the audit log, newest first (audit:read). Filters:
+//   actor (user ID or email), target (record ID), targetType (Product|User),
+//   action (comma-separated), field (a changed field, e.g. price), from / to
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor, target, targetType, action, field } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if ([actor, target, targetType, action, field].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ message: 'Filters must be plain values' });
+    }
+
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) filter.actor = actor;
+      else filter.actorEmail = actor.trim().toLowerCase();
+    }
+    if (target) {
+      if (!mongoose.Types.ObjectId.isValid(target)) return res.status(400).json({ message: 'Invalid target ID' });
+      filter['target.id'] = target;
+    }
+    if (targetType) {
+      if (!AuditLog.TARGET_TYPES.includes(targetType)) {
+        return res.status(400).json({ message: `targetType must be one of: ${AuditLog.TARGET_TYPES.join(', ')}` });
+      }
+      filter['target.type'] = targetType;
+    }
+    if (action) {
+      const actions = action.split(',').map(value => value.trim());
+      const invalid = actions.filter(value => !AuditLog.ACTIONS.includes(value));
+      if (invalid.length) return res.status(400).json({ message: `Invalid action: ${invalid.join(', ')}` });
+      filter.action = { $in: actions };
+    }
+    if (field) filter['changes.field'] = field;
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to, { endOfDay: true });
+    if (from === null || to === null) return res.status(400).json({ message: 'from and to must be valid dates' });
+    if (from && to && from > to) return res.status(400).json({ message: 'from cannot be after to' });
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      items: entries,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: 'Error fetching audit log', error: error.message });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
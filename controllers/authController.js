@@ -1,18 +1,47 @@
 const User = require('../models/user.model');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const Cart = require('../models/cart.model');
+const Session = require('../models/session.model');
+const AuthToken = require('../models/authToken.model');
+const { issueSession, rotateRefreshToken, revokeSession } = require('../services/token.service');
+const { sendMail, templates } = require('../services/mailer');
+const { getRolePermissions } = require('../config/permissions');
+const { recordAudit } = require('../services/audit.service');
+const { registerFailedLogin, clearLoginFailures } = require('../services/loginLockout.service');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key', {
-    expiresIn: '7d'
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:4200';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+// Same reply whether or not the account exists, so accounts can't be enumerated
+const FORGOT_PASSWORD_RESPONSE = { message: 'If an account exists for this email, a password reset link has been sent' };
+const RESEND_VERIFICATION_RESPONSE = { message: 'If this email needs verifying, a new verification link has been sent' };
+
+// Email a fresh verification link to the user
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'email-verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const email = templates.emailVerificationEmail({
+    name: user.name,
+    url: `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+  });
+  await sendMail({ to: user.email, ...email });
+};
+
+// Email a password reset link to the user
+const sendPasswordResetEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'password-reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const email = templates.passwordResetEmail({
+    name: user.name,
+    url: `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`,
+    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
   });
+  await sendMail({ to: user.email, ...email });
 };
 
 // Register User
 const registerUser = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -40,13 +69,16 @@ const registerUser = async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password,
-      role: role || 'user' // Default to 'user' if no role specified
+      role: 'user' // Self-registration always creates a customer; staff roles are assigned by admins
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Mail failures must not fail registration; the user can ask for a new link
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await issueSession(user._id, req);
 
     // Return user data without password
     const userData = {
@@ -58,7 +90,7 @@ const registerUser = async (req, res) => {
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: userData
     });
 
@@ -80,10 +112,18 @@ const registerUser = async (req, res) => {
   }
 };
 
+// Audit a failed sign-in; `user` is null when no account has the email
+const auditFailedLogin = (req, email, user, reason) => recordAudit(req, {
+  action: 'auth.login_failed',
+  actor: { id: user && user._id, email: String(email).slice(0, 254), role: user && user.role },
+  target: user || undefined,
+  metadata: { reason }
+});
+
 // Login User
 const loginUser = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, guestCart } = req.body;
 
     // Validation
     if (!email || !password) {
@@ -95,6 +135,17 @@ const loginUser = async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
+      await auditFailedLogin(req, email, null, 'unknown-email');
+      return res.status(401).json({ 
+        message: 'Invalid email or password' 
+      });
+    }
+
+    // Locked accounts don't get to try passwords at all until the lock runs out. The answer
+    // matches any other failed login so it can't be used to tell which emails have accounts;
+    // the lock only shows up in the audit log.
+    if (user.isLocked()) {
+      await auditFailedLogin(req, email, user, 'locked');
       return res.status(401).json({ 
         message: 'Invalid email or password' 
       });
@@ -109,13 +160,50 @@ const loginUser = async (req, res) => {
     
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const lockout = await registerFailedLogin(user);
+      await auditFailedLogin(req, email, user, 'wrong-password');
+      if (lockout.locked) {
+        await recordAudit(req, {
+          action: 'auth.lockout',
+          actor: { id: user._id, email: user.email, role: user.role },
+          target: user,
+          metadata: { lockedUntil: lockout.lockedUntil }
+        });
+      }
       return res.status(401).json({ 
         message: 'Invalid email or password' 
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!user.isActive) {
+      await auditFailedLogin(req, email, user, 'deactivated');
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    await clearLoginFailures(user);
+    await user.updateLastLogin();
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await issueSession(user._id, req);
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: { id: user._id, email: user.email, role: user.role },
+      target: user,
+      metadata: { sessionId: tokens.sessionId }
+    });
+
+    // Fold any guest cart sent by the client into the saved cart
+    let cartMerge;
+    if (Array.isArray(guestCart) && guestCart.length > 0) {
+      try {
+        const cart = await Cart.findOrCreateForUser(user._id);
+        const skipped = await cart.mergeItems(guestCart);
+        cartMerge = { merged: true, skipped };
+      } catch (mergeError) {
+        console.error('Guest cart merge error:', mergeError);
+        cartMerge = { merged: false, message: 'Guest cart could not be merged' };
+      }
+    }
 
     // Return user data without password
     const userData = {
@@ -127,8 +215,9 @@ const loginUser = async (req, res) => {
 
     res.json({
       message: 'Login successful',
-      token,
-      user: userData
+      ...tokens,
+      user: userData,
+      ...(cartMerge && { cart: cartMerge })
     });
 
   } catch (error) {
@@ -153,6 +242,8 @@ const getUserProfile = async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      permissions: getRolePermissions(user.role),
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
     });
   } catch (error) {
@@ -187,6 +278,17 @@ const updateUserProfile = async (req, res) => {
       }
     }
 
+    // A new address has to be verified again before it counts
+    const current = await User.findById(userId).select('email');
+    if (!current) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const emailChanged = Boolean(updateData.email) && updateData.email !== current.email;
+    if (emailChanged) {
+      updateData.emailVerified = false;
+      updateData.$unset = { emailVerifiedAt: 1 };
+    }
+
     const user = await User.findByIdAndUpdate(
       userId,
       updateData,
@@ -197,13 +299,20 @@ const updateUserProfile = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (emailChanged) {
+      sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+    }
+
     res.json({
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated. A verification link has been sent to your new email address'
+        : 'Profile updated successfully',
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -222,9 +331,288 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+// Request a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Please provide an email address' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true });
+
+    // Reply before mailing so response time doesn't reveal whether the account exists
+    res.json(FORGOT_PASSWORD_RESPONSE);
+
+    if (user) {
+      sendPasswordResetEmail(user).catch(error => console.error('Password reset email error:', error));
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      message: 'Server error requesting password reset',
+      error: error.message 
+    });
+  }
+};
+
+// Set a new password using a reset token; signs out every session
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please provide token and password' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ 
+        message: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    const record = await AuthToken.consume(token, 'password-reset');
+    const user = record && await User.findById(record.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    // Following the emailed link proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    // A reset from the emailed link also lifts a failed-login lockout
+    await clearLoginFailures(user);
+
+    await Session.revokeAllForUser(user._id, 'password-change');
+    sendMail({ to: user.email, ...templates.passwordChangedEmail({ name: user.name }) })
+      .catch(error => console.error('Password changed email error:', error));
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors 
+      });
+    }
+    res.status(500).json({ 
+      message: 'Server error resetting password',
+      error: error.message 
+    });
+  }
+};
+
+// Confirm an email address using a verification token
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: 'Verification token is required' });
+
+    const record = await AuthToken.consume(token, 'email-verification');
+    if (!record) return res.status(400).json({ message: 'Invalid or expired verification token' });
+
+    await User.updateOne(
+      { _id: record.user, emailVerified: false },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      message: 'Server error verifying email',
+      error: error.message 
+    });
+  }
+};
+
+// Send a new verification link
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Please provide an email address' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true, emailVerified: false });
+
+    res.json(RESEND_VERIFICATION_RESPONSE);
+
+    if (user) {
+      sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+    }
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      message: 'Server error resending verification',
+      error: error.message 
+    });
+  }
+};
+
+// Change password (requires the current password); other sessions are signed out
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ 
+        message: 'Please provide current and new password' 
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ 
+        message: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password-change', req.user.sessionId);
+    sendMail({ to: user.email, ...templates.passwordChangedEmail({ name: user.name }) })
+      .catch(error => console.error('Password changed email error:', error));
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      message: 'Server error changing password',
+      error: error.message 
+    });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presented } = req.body;
+    if (!presented) return res.status(400).json({ message: 'Refresh token is required' });
+
+    const { userId, ...tokens } = await rotateRefreshToken(presented, req);
+
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      await revokeSession(tokens.sessionId, 'logout');
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    if (!user.isActive) {
+      await revokeSession(tokens.sessionId, 'revoked-by-admin');
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({ message: 'Token refreshed', ...tokens });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ 
+      message: 'Server error refreshing token',
+      error: error.message 
+    });
+  }
+};
+
+// Logout current session
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      message: 'Server error during logout',
+      error: error.message 
+    });
+  }
+};
+
+// Logout every session of the current user, on all devices
+const logoutAllSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'logout-all');
+    res.json({ message: 'Logged out from all devices', revoked: result.modifiedCount });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      message: 'Server error during logout',
+      error: error.message 
+    });
+  }
+};
+
+// List current user's active sessions
+const getUserSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.user.sessionId)
+    })));
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ 
+      message: 'Server error fetching sessions',
+      error: error.message 
+    });
+  }
+};
+
+// Revoke one of the current user's sessions (e.g. a lost device)
+const revokeUserSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+
+    await revokeSession(session._id, 'revoked-by-user');
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ 
+      message: 'Server error revoking session',
+      error: error.message 
+    });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
   getUserProfile,
-  updateUserProfile
+  updateUserProfile,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  revokeUserSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword
 };
\ No newline at end of file
@@ -0,0 +1,170 @@
+const Cart = require('../models/cart.model');
+const { checkProductAvailability, toCouponLines, priceCart } = require('../services/cart.service');
+const { findCouponByCode, evaluateCoupon } = require('../services/coupon.service');
+
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+};
+
+// Get current user's cart
+const getCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    res.json(await priceCart(cart, req.user.userId));
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({ message: 'Error fetching cart', error: error.message });
+  }
+};
+
+// Add product to cart (adds to the existing quantity if already present)
+const addToCart = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : parseQuantity(req.body.quantity);
+
+    if (!productId) return res.status(400).json({ message: 'Product ID is required' });
+    if (!quantity) return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    const existing = cart.findItem(productId, variantId);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+    const { product, purchase, status, message } = await checkProductAvailability(productId, newQuantity, variantId);
+    if (!product) return res.status(status).json({ message });
+
+    if (existing) {
+      existing.quantity = newQuantity;
+      existing.priceAtAdd = purchase.price;
+    } else {
+      cart.items.push({ product: product._id, variant: variantId, quantity, priceAtAdd: purchase.price });
+    }
+
+    await cart.save();
+    res.status(201).json(await priceCart(cart, req.user.userId));
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error adding to cart', error: error.message });
+  }
+};
+
+// Set the quantity of a cart line
+const updateCartItem = async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body.quantity);
+    if (!quantity) return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    const item = cart.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Cart item not found' });
+
+    const { product, purchase, status, message } = await checkProductAvailability(item.product, quantity, item.variant);
+    if (!product) return res.status(status).json({ message });
+
+    item.quantity = quantity;
+    item.priceAtAdd = purchase.price;
+
+    await cart.save();
+    res.json(await priceCart(cart, req.user.userId));
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating cart item', error: error.message });
+  }
+};
+
+// Remove a line from the cart
+const removeCartItem = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    const item = cart.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Cart item not found' });
+
+    item.deleteOne();
+    await cart.save();
+    res.json(await priceCart(cart, req.user.userId));
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ message: 'Error removing cart item', error: error.message });
+  }
+};
+
+// Remove every line from the cart
+const clearCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    cart.items = [];
+    cart.couponCode = undefined;
+    await cart.save();
+    res.json(await priceCart(cart, req.user.userId));
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({ message: 'Error clearing cart', error: error.message });
+  }
+};
+
+// Merge a guest (localStorage) cart into the user's cart
+const mergeCart = async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items)) return res.status(400).json({ message: 'Items must be an array' });
+
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    const skipped = await cart.mergeItems(items);
+
+    res.json({ ...(await priceCart(cart, req.user.userId)), skipped });
+  } catch (error) {
+    console.error('Error merging cart:', error);
+    res.status(500).json({ message: 'Error merging cart', error: error.message });
+  }
+};
+
+// Apply a coupon code to the cart after checking it against the current items
+const applyCoupon = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    if (cart.items.length === 0) return res.status(400).json({ message: 'Cart is empty' });
+
+    const coupon = await findCouponByCode(req.body.code);
+    const summary = await cart.getSummary();
+    await evaluateCoupon(coupon, {
+      userId: req.user.userId,
+      subtotal: summary.subtotal,
+      lines: toCouponLines(summary)
+    });
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+    res.json(await priceCart(cart, req.user.userId));
+  } catch (error) {
+    console.error('Error applying coupon:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message, ...(error.details && { details: error.details }) });
+    res.status(500).json({ message: 'Error applying coupon', error: error.message });
+  }
+};
+
+// Remove the applied coupon from the cart
+const removeCoupon = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    cart.couponCode = undefined;
+    await cart.save();
+    res.json(await priceCart(cart, req.user.userId));
+  } catch (error) {
+    console.error('Error removing coupon:', error);
+    res.status(500).json({ message: 'Error removing coupon', error: error.message });
+  }
+};
+
+module.exports = {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  applyCoupon,
+  removeCoupon
+};
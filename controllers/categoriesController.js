@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+
+// Count active products per category slug
+const getProductCounts = async () => {
+  const counts = await Product.aggregate([
+    { $match: { isActive: true } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// Nest categories under their parents, sorted by sortOrder then name.
+// totalProductCount includes products in every subcategory.
+const buildCategoryTree = (categories, counts) => {
+  const nodes = new Map(categories.map(category => [String(category._id), {
+    id: category._id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description,
+    image: category.image,
+    sortOrder: category.sortOrder,
+    isActive: category.isActive,
+    productCount: counts.get(category.slug) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  categories.forEach(category => {
+    const node = nodes.get(String(category._id));
+    const parent = category.parent && nodes.get(String(category.parent));
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const finalize = (list) => {
+    list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+    list.forEach(node => {
+      finalize(node.children);
+      node.totalProductCount = node.productCount +
+        node.children.reduce((sum, child) => sum + child.totalProductCount, 0);
+    });
+    return list;
+  };
+
+  return finalize(roots);
+};
+
+// Pick the writable category fields out of a request body
+const pickCategoryFields = ({ name, slug, description, image, parent, sortOrder, isActive, hsnCode, gstRate }) => {
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (slug !== undefined) fields.slug = slug;
+  if (description !== undefined) fields.description = description;
+  if (image !== undefined) fields.image = image;
+  if (parent !== undefined) fields.parent = parent || null;
+  if (sortOrder !== undefined) fields.sortOrder = Number(sortOrder);
+  if (isActive !== undefined) fields.isActive = Boolean(isActive);
+  if (hsnCode !== undefined) fields.hsnCode = hsnCode || undefined;
+  if (gstRate !== undefined) fields.gstRate = gstRate === null || gstRate === '' ? undefined : Number(gstRate);
+  return fields;
+};
+
+// Check that a parent exists and would not create a cycle
+const validateParent = async (parentId, categoryId) => {
+  if (!parentId) return null;
+  if (!mongoose.Types.ObjectId.isValid(parentId)) return 'Invalid parent category ID';
+  if (!(await Category.exists({ _id: parentId }))) return 'Parent category not found';
+  if (categoryId && await Category.isAncestorOf(categoryId, parentId)) {
+    return 'A category cannot be moved under itself or one of its subcategories';
+  }
+  return null;
+};
+
+// Get tree of active categories with product counts
+const getCategoryTree = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({ isActive: true }).lean(),
+      getProductCounts()
+    ]);
+
+    res.json(buildCategoryTree(categories, counts));
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ message: 'Error fetching categories', error: error.message });
+  }
+};
+
+// Get single category by slug, with its subcategories and breadcrumb
+const getCategoryBySlug = async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true });
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+
+    const [children, counts] = await Promise.all([
+      Category.find({ parent: category._id, isActive: true }).sort({ sortOrder: 1, name: 1 }),
+      getProductCounts()
+    ]);
+
+    const breadcrumb = [];
+    let current = category;
+    while (current && current.parent && breadcrumb.length < 10) {
+      current = await Category.findById(current.parent).select('name slug parent');
+      if (current) breadcrumb.unshift({ name: current.name, slug: current.slug });
+    }
+
+    res.json({
+      ...category.toObject(),
+      productCount: counts.get(category.slug) || 0,
+      breadcrumb,
+      children: children.map(child => ({ ...child.toObject(), productCount: counts.get(child.slug) || 0 }))
+    });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ message: 'Error fetching category', error: error.message });
+  }
+};
+
+// Create category (catalog staff)
+const createCategory = async (req, res) => {
+  try {
+    const fields = pickCategoryFields(req.body);
+    if (!fields.name) return res.status(400).json({ message: 'Category name is required' });
+    if (!fields.slug) fields.slug = Category.slugify(fields.name);
+
+    const parentError = await validateParent(fields.parent);
+    if (parentError) return res.status(400).json({ message: parentError });
+
+    const category = await Category.create(fields);
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Error creating category:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    if (error.code === 11000) return res.status(400).json({ message: 'Category slug already exists' });
+    res.status(500).json({ message: 'Error creating category', error: error.message });
+  }
+};
+
+// Update category (catalog staff). Renaming a slug moves the products that use it.
+const updateCategory = async (req, res) => {
+  try {
+    const fields = pickCategoryFields(req.body);
+
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+
+    const parentError = await validateParent(fields.parent, category._id);
+    if (parentError) return res.status(400).json({ message: parentError });
+
+    const previousSlug = category.slug;
+    Object.assign(category, fields);
+    await category.save();
+
+    if (category.slug !== previousSlug) {
+      await Product.updateMany({ category: previousSlug }, { $set: { category: category.slug } });
+    }
+
+    res.json(category);
+  } catch (error) {
+    console.error('Error updating category:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    if (error.code === 11000) return res.status(400).json({ message: 'Category slug already exists' });
+    res.status(500).json({ message: 'Error updating category', error: error.message });
+  }
+};
+
+// Delete category (catalog staff) once it has no subcategories or products
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+
+    const [hasChildren, productCount] = await Promise.all([
+      Category.exists({ parent: category._id }),
+      Product.countDocuments({ category: category.slug })
+    ]);
+
+    if (hasChildren) {
+      return res.status(409).json({ message: 'Move or delete the subcategories first' });
+    }
+    if (productCount > 0) {
+      return res.status(409).json({ message: `${productCount} product(s) still use this category` });
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ message: 'Error deleting category', error: error.message });
+  }
+};
+
+module.exports = {
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon.model');
+const CouponUsage = require('../models/couponUsage.model');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+const createHttpError = require('../utils/httpError');
+const { escapeRegex } = require('../utils/search');
+
+const COUPON_STATUSES = ['active', 'inactive', 'scheduled', 'expired'];
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderValue',
+  'maxUses', 'maxUsesPerUser', 'startsAt', 'expiresAt', 'categories', 'products', 'isActive'
+];
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Pick the editable coupon fields out of a request body, checking referenced categories and products
+const pickCouponFields = async (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  if (fields.categories !== undefined) {
+    if (!Array.isArray(fields.categories)) throw createHttpError(400, 'Categories must be an array of slugs');
+    fields.categories = [...new Set(fields.categories.map(slug => String(slug).toLowerCase().trim()))];
+    const found = await Category.find({ slug: { $in: fields.categories } }).select('slug');
+    const missing = fields.categories.filter(slug => !found.some(category => category.slug === slug));
+    if (missing.length) throw createHttpError(400, `Unknown categories: ${missing.join(', ')}`);
+  }
+
+  if (fields.products !== undefined) {
+    if (!Array.isArray(fields.products)) throw createHttpError(400, 'Products must be an array of IDs');
+    fields.products = [...new Set(fields.products.map(String))];
+    if (!fields.products.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw createHttpError(400, 'Invalid product ID in products');
+    }
+    const count = await Product.countDocuments({ _id: { $in: fields.products } });
+    if (count !== fields.products.length) throw createHttpError(400, 'One or more products do not exist');
+  }
+
+  return fields;
+};
+
+// List coupons, optionally filtered by status or code (coupons:read)
+const getCoupons = async (req, res) => {
+  try {
+    const { status, q } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+    const now = new Date();
+    const filter = {};
+
+    if (q) filter.code = new RegExp(escapeRegex(String(q).trim()), 'i');
+
+    if (status) {
+      if (!COUPON_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${COUPON_STATUSES.join(', ')}` });
+      }
+      if (status === 'inactive') filter.isActive = false;
+      if (status === 'scheduled') Object.assign(filter, { isActive: true, startsAt: { $gt: now } });
+      if (status === 'expired') filter.expiresAt = { $lte: now };
+      if (status === 'active') {
+        Object.assign(filter, {
+          isActive: true,
+          $and: [
+            { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+          ]
+        });
+      }
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json({ coupons, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ message: 'Error fetching coupons', error: error.message });
+  }
+};
+
+// Get a coupon with its usage figures (coupons:read)
+const getCouponById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+
+    const coupon = await Coupon.findById(req.params.id).populate('products', 'name');
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    const customers = await CouponUsage.countDocuments({ coupon: coupon._id, count: { $gt: 0 } });
+    res.json({
+      ...coupon.toJSON(),
+      usage: {
+        used: coupon.usedCount,
+        remaining: coupon.maxUses === null ? null : Math.max(coupon.maxUses - coupon.usedCount, 0),
+        customers
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    res.status(500).json({ message: 'Error fetching coupon', error: error.message });
+  }
+};
+
+// Create a coupon (coupons:write)
+const createCoupon = async (req, res) => {
+  try {
+    const fields = await pickCouponFields(req.body);
+    const coupon = await Coupon.create({ ...fields, createdBy: req.user.userId });
+    res.status(201).json(coupon);
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    if (error.code === 11000) return res.status(409).json({ message: 'A coupon with this code already exists' });
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error creating coupon', error: error.message });
+  }
+};
+
+// Update a coupon (coupons:write). The code is fixed once the coupon has been used.
+const updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    const fields = await pickCouponFields(req.body);
+    if (fields.code !== undefined && coupon.usedCount > 0 && Coupon.normalizeCode(fields.code) !== coupon.code) {
+      return res.status(409).json({ message: 'Cannot change the code of a coupon that has been used' });
+    }
+
+    coupon.set(fields);
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    if (error.code === 11000) return res.status(409).json({ message: 'A coupon with this code already exists' });
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating coupon', error: error.message });
+  }
+};
+
+// Delete an unused coupon (coupons:write); used coupons are kept for order history and must be deactivated
+const deleteCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    if (coupon.usedCount > 0) {
+      return res.status(409).json({ message: 'Coupon has been used; deactivate it instead' });
+    }
+
+    await coupon.deleteOne();
+    await CouponUsage.deleteMany({ coupon: coupon._id });
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ message: 'Error deleting coupon', error: error.message });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
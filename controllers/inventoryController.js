@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product.model');
+const StockMovement = require('../models/stockMovement.model');
+const { adjustStock: applyStockAdjustment, snapshotStock } = require('../services/inventory.service');
+const { queueBackInStockNotifications } = require('../services/notification.service');
+const { recordAudit } = require('../services/audit.service');
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Parse an optional whole number from a request body, leaving undefined alone
+const toInteger = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+// Change a product's or variant's stock with a reason (inventory:write).
+// Body: { variantId?, quantity (signed change) | stock (new level), reason, note?, orderId? }
+const adjustStock = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId, reason, note, orderId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ message: 'Invalid variant ID' });
+    }
+    if (orderId && !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: 'Reason is required: restock, adjustment or return' });
+    }
+
+    const before = await Product.findById(productId);
+    if (!before) return res.status(404).json({ message: 'Product not found' });
+
+    const { product, movement } = await applyStockAdjustment(productId, {
+      variantId,
+      quantity: toInteger(req.body.quantity),
+      stock: toInteger(req.body.stock),
+      reason,
+      note,
+      order: orderId,
+      user: req.user.userId
+    });
+
+    if (movement) {
+      await recordAudit(req, {
+        action: 'stock.adjust',
+        target: product,
+        changes: [{ field: movement.sku ? `stock (${movement.sku})` : 'stock', before: movement.before, after: movement.after }],
+        metadata: { movement: movement._id, variant: movement.variant, reason: movement.reason, note: movement.note }
+      });
+      queueBackInStockNotifications(product, snapshotStock(before))
+        .catch(error => console.error('Back-in-stock notification error:', error));
+    }
+
+    res.json({
+      message: movement ? 'Stock adjusted' : 'Stock unchanged',
+      product,
+      movement
+    });
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error adjusting stock', error: error.message });
+  }
+};
+
+// A product's stock history, newest first, optionally for one variant or reason (inventory:read)
+const getStockMovements = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variant, reason } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const product = await Product.findById(productId).select('name stock lowStockThreshold variants');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const filter = { product: product._id };
+    if (variant) {
+      if (!mongoose.Types.ObjectId.isValid(variant)) return res.status(400).json({ message: 'Invalid variant ID' });
+      filter.variant = variant;
+    }
+    if (reason) {
+      const reasons = String(reason).split(',');
+      const invalid = reasons.filter(r => !StockMovement.REASONS.includes(r));
+      if (invalid.length) return res.status(400).json({ message: `Invalid reason: ${invalid.join(', ')}` });
+      filter.reason = { $in: reasons };
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('user', 'name email')
+        .populate('order', 'status total createdAt')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      product: {
+        _id: product._id,
+        name: product.name,
+        stock: product.stock,
+        lowStockThreshold: product.getLowStockThreshold()
+      },
+      items: movements,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ message: 'Error fetching stock movements', error: error.message });
+  }
+};
+
+// Active products at or below their low-stock threshold, lowest first. Variant products are
+// listed when any active variant is low, with those variants attached (inventory:read).
+const getLowStockReport = async (req, res) => {
+  try {
+    const { category } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const match = { isActive: true };
+    if (category) match.category = String(category);
+
+    const [result] = await Product.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          threshold: { $ifNull: ['$lowStockThreshold', Product.DEFAULT_LOW_STOCK_THRESHOLD] },
+          activeVariants: {
+            $filter: { input: { $ifNull: ['$variants', []] }, as: 'variant', cond: '$$variant.isActive' }
+          }
+        }
+      },
+      {
+        $addFields: {
+          lowVariants: {
+            $filter: {
+              input: '$activeVariants',
+              as: 'variant',
+              cond: { $lte: ['$$variant.stock', '$threshold'] }
+            }
+          }
+        }
+      },
+      {
+        $match: {
+          $expr: {
+            $or: [
+              { $and: [{ $eq: [{ $size: '$activeVariants' }, 0] }, { $lte: ['$stock', '$threshold'] }] },
+              { $gt: [{ $size: '$lowVariants' }, 0] }
+            ]
+          }
+        }
+      },
+      {
+        $project: {
+          name: 1,
+          category: 1,
+          brand: 1,
+          stock: 1,
+          threshold: 1,
+          lowVariants: { _id: 1, sku: 1, options: 1, stock: 1 },
+          lowestStock: {
+            $cond: [{ $gt: [{ $size: '$lowVariants' }, 0] }, { $min: '$lowVariants.stock' }, '$stock']
+          }
+        }
+      },
+      { $sort: { lowestStock: 1, name: 1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+    res.json({
+      items: result.items,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching low-stock report:', error);
+    res.status(500).json({ message: 'Error fetching low-stock report', error: error.message });
+  }
+};
+
+module.exports = {
+  adjustStock,
+  getStockMovements,
+  getLowStockReport
+};
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Cart = require('../models/cart.model');
+const Payment = require('../models/payment.model');
+const { hasPermission } = require('../config/permissions');
+const { createOrder: placeOrder, resolveOrderAddresses, transitionOrderStatus } = require('../services/order.service');
+const {
+  assignInvoiceNumber,
+  canInvoice,
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('../services/invoice.service');
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Place an order from the given items, or from the user's cart when no items are sent.
+// Ships to shippingAddressId / shippingAddress from the body, else the default shipping address,
+// and applies couponCode from the body, else the coupon saved on the cart.
+const createOrder = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const fromCart = !Array.isArray(req.body.items);
+    let lines = req.body.items;
+    let cart;
+
+    if (fromCart) {
+      cart = await Cart.findOne({ user: userId });
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ message: 'Cart is empty' });
+      }
+      lines = cart.items.map(item => ({ productId: item.product, variantId: item.variant, quantity: item.quantity }));
+    }
+
+    const addresses = await resolveOrderAddresses(userId, req.body);
+    const couponCode = req.body.couponCode !== undefined ? req.body.couponCode : (cart && cart.couponCode);
+    const order = await placeOrder(userId, lines, { ...addresses, couponCode });
+
+    if (fromCart) {
+      cart.items = [];
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Error creating order:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    if (error.status) return res.status(error.status).json({ message: error.message, ...(error.details && { details: error.details }) });
+    res.status(500).json({ message: 'Error creating order', error: error.message });
+  }
+};
+
+// Get current user's orders
+const getMyOrders = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { user: req.user.userId };
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({ orders, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ message: 'Error fetching orders', error: error.message });
+  }
+};
+
+// Get single order (owner or order staff)
+const getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    if (!hasPermission(req.user, 'orders:read') && !order.isOwnedBy(req.user.userId)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ message: 'Error fetching order', error: error.message });
+  }
+};
+
+// Cancel own order while it is still pending
+const cancelOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !order.isOwnedBy(req.user.userId)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(409).json({ message: 'Only pending orders can be cancelled. Please contact support.' });
+    }
+
+    const updated = await transitionOrderStatus(order, 'cancelled', {
+      changedBy: req.user.userId,
+      note: req.body.reason
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error cancelling order', error: error.message });
+  }
+};
+
+// Get all orders with filters (order staff)
+const getAllOrders = async (req, res) => {
+  try {
+    const { status, user, from, to } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (status) {
+      const statuses = String(status).split(',');
+      const invalid = statuses.filter(s => !Order.STATUSES.includes(s));
+      if (invalid.length) return res.status(400).json({ message: `Invalid status: ${invalid.join(', ')}` });
+      filter.status = { $in: statuses };
+    }
+
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) return res.status(400).json({ message: 'Invalid user ID' });
+      filter.user = user;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter).populate('user', 'name email').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({ orders, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching all orders:', error);
+    res.status(500).json({ message: 'Error fetching orders', error: error.message });
+  }
+};
+
+// Update order status (order staff; refunds need orders:refund)
+const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!status) return res.status(400).json({ message: 'Status is required' });
+    if (status === 'refunded' && !hasPermission(req.user, 'orders:refund')) {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions.', required: ['orders:refund'] });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    // Money taken through a payment goes back through the payment's refund, which moves the order
+    // too; cancelling or refunding the order alone would leave the customer charged
+    if (['cancelled', 'refunded'].includes(status)) {
+      const payment = await Payment.findOne({ order: order._id, status: { $in: ['succeeded', 'refunding'] } });
+      if (payment) {
+        return res.status(409).json({
+          message: `This order was paid; refund it with POST /api/payments/${payment._id}/refund`,
+          paymentId: payment._id
+        });
+      }
+    }
+
+    const updated = await transitionOrderStatus(order, status, { changedBy: req.user.userId, note });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error updating order status', error: error.message });
+  }
+};
+
+// Get the GST invoice for an order as HTML, or as PDF with ?format=pdf or Accept: application/pdf
+// (owner or order staff). Paid orders get their invoice number here if they don't have one yet.
+const getOrderInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+    if (!order || (!hasPermission(req.user, 'orders:read') && !order.isOwnedBy(req.user.userId))) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!canInvoice(order)) {
+      return res.status(409).json({ message: `No invoice is available for a ${order.status} order` });
+    }
+
+    await assignInvoiceNumber(order);
+    const invoice = buildInvoice(order);
+    const fileName = `invoice-${invoice.number.replace(/\//g, '-')}`;
+
+    const wantsPdf = req.query.format === 'pdf' ||
+      (req.query.format === undefined && req.accepts(['text/html', 'application/pdf']) === 'application/pdf');
+
+    if (wantsPdf) {
+      const pdf = await renderInvoicePdf(invoice);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="${fileName}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    res.type('html').send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error generating invoice', error: error.message });
+  }
+};
+
+module.exports = {
+  createOrder,
+  getMyOrders,
+  getOrderById,
+  cancelOrder,
+  getAllOrders,
+  updateOrderStatus,
+  getOrderInvoice
+};
@@ -0,0 +1,352 @@
+const Payment = require('../models/payment.model');
+const Order = require('../models/order.model');
+const WebhookEvent = require('../models/webhookEvent.model');
+const { getPaymentProvider } = require('../services/payments');
+const { transitionOrderStatus } = require('../services/order.service');
+const { ensureOrderReservation } = require('../services/reservation.service');
+
+// Record a successful capture and move the order to paid. Only an authorised payment
+// (requires_capture) can succeed, and that is checked in the same update that marks it, so a
+// replayed or late event never revives a failed or refunded payment. A payment that already
+// succeeded just re-checks its order. Resolves with the order, or null if the payment had
+// moved on to another state.
+const markPaymentSucceeded = async (payment, { changedBy, note } = {}) => {
+  if (payment.status !== 'succeeded') {
+    const captured = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'requires_capture' },
+      { $set: { status: 'succeeded', capturedAt: new Date() } },
+      { new: true }
+    );
+    if (!captured) return null;
+    payment.status = captured.status;
+    payment.capturedAt = captured.capturedAt;
+  }
+
+  let order = await Order.findById(payment.order);
+  if (order && order.status === 'pending') {
+    try {
+      return await transitionOrderStatus(order, 'paid', { changedBy, note: note || `Paid via ${payment.provider}` });
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      // Another request (say the capture racing its webhook) may have paid the order meanwhile
+      order = await Order.findById(order._id);
+    }
+  }
+  // Still pending here means its stock is gone; cancelled or refunded means there is nothing
+  // left to fulfil. Either way the money goes back.
+  if (order && ['pending', 'cancelled', 'refunded'].includes(order.status)) {
+    return refundUnfulfillablePayment(payment, { changedBy });
+  }
+  return order;
+};
+
+// Payment came in after the order's hold lapsed and its stock was sold to someone else (or
+// after the order was cancelled): give the money back and cancel the order, rather than leave
+// the customer charged for an order that stays pending. If the refund call fails the error is
+// thrown and the caller (or the provider's webhook retry) tries again. Resolves with the order.
+const refundUnfulfillablePayment = async (payment, { changedBy } = {}) => {
+  const reason = 'Order could no longer be fulfilled when the payment arrived';
+  await refundSucceededPayment(payment, { reason, changedBy });
+
+  const current = await Order.findById(payment.order);
+  if (current && current.canTransitionTo('cancelled')) {
+    return transitionOrderStatus(current, 'cancelled', { changedBy, note: `${reason}; payment refunded` });
+  }
+  return current;
+};
+
+// Mark an authorised payment failed; a no-op once it has succeeded or been refunded
+const markPaymentFailed = async (payment, reason) => {
+  const failed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'requires_capture' },
+    { $set: { status: 'failed', failedAt: new Date(), failureReason: reason } },
+    { new: true }
+  );
+  if (failed) {
+    payment.status = failed.status;
+    payment.failedAt = failed.failedAt;
+    payment.failureReason = failed.failureReason;
+  }
+  return Boolean(failed);
+};
+
+// Refund a succeeded payment in full. The payment is claimed (succeeded -> refunding) before the
+// provider is called, so two refund requests can't both send the money back; if the provider
+// call fails the claim is released and the error thrown. Resolves with the order, or false if
+// the payment was not succeeded (already refunded, or being refunded by another request).
+const refundSucceededPayment = async (payment, { reason, changedBy } = {}) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'succeeded' },
+    { $set: { status: 'refunding' } },
+    { new: true }
+  );
+  if (!claimed) return false;
+  payment.status = claimed.status;
+
+  let result;
+  try {
+    const provider = getPaymentProvider(payment.provider);
+    result = await provider.refundPayment(payment.providerPaymentId, Payment.toMinorUnits(payment.amount));
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id, status: 'refunding' }, { $set: { status: 'succeeded' } });
+    payment.status = 'succeeded';
+    throw error;
+  }
+
+  return markPaymentRefunded(payment, {
+    providerRefundId: result.id,
+    amount: Payment.fromMinorUnits(result.amount),
+    reason,
+    changedBy
+  });
+};
+
+// Record a refund and move the order to refunded when allowed
+const markPaymentRefunded = async (payment, { providerRefundId, amount, reason, changedBy } = {}) => {
+  if (providerRefundId && !payment.refunds.some(refund => refund.providerRefundId === providerRefundId)) {
+    payment.refunds.push({ providerRefundId, amount, reason });
+  }
+  payment.status = 'refunded';
+  await payment.save();
+
+  const order = await Order.findById(payment.order);
+  if (order && order.canTransitionTo('refunded')) {
+    return transitionOrderStatus(order, 'refunded', { changedBy, note: reason || 'Payment refunded' });
+  }
+  return order;
+};
+
+// Create a payment intent for a pending order
+const createPaymentIntent = async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    if (!orderId) return res.status(400).json({ message: 'Order ID is required' });
+
+    const order = await Order.findById(orderId);
+    if (!order || !order.isOwnedBy(req.user.userId)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(409).json({ message: `Order is already ${order.status}` });
+    }
+
+    // Paying for an order whose hold lapsed reserves its stock again, if it is still there
+    if (order.stockDeducted === false) {
+      const reservationExpiresAt = await ensureOrderReservation(order);
+      if (String(reservationExpiresAt) !== String(order.reservationExpiresAt)) {
+        order.reservationExpiresAt = reservationExpiresAt;
+        await order.save();
+      }
+    }
+
+    // A fully discounted order has nothing to collect, so it is paid without a payment intent
+    if (Payment.toMinorUnits(order.total) <= 0) {
+      const paidOrder = await transitionOrderStatus(order, 'paid', { changedBy: req.user.userId, note: 'Nothing to pay' });
+      return res.json({ paymentId: null, amount: 0, currency: 'INR', status: 'succeeded', order: paidOrder });
+    }
+
+    const provider = getPaymentProvider();
+    const intent = await provider.createPaymentIntent({
+      amount: Payment.toMinorUnits(order.total),
+      currency: 'INR',
+      orderId: order._id.toString(),
+      metadata: { userId: req.user.userId.toString() }
+    });
+
+    const payment = await Payment.findOneAndUpdate(
+      { provider: provider.name, providerPaymentId: intent.id },
+      {
+        $setOnInsert: {
+          order: order._id,
+          user: req.user.userId,
+          amount: order.total,
+          currency: intent.currency,
+          status: 'requires_capture'
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({
+      paymentId: payment._id,
+      provider: provider.name,
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      reservationExpiresAt: order.reservationExpiresAt
+    });
+  } catch (error) {
+    console.error('Error creating payment intent:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error creating payment intent', error: error.message });
+  }
+};
+
+// Capture an authorised payment and mark the order paid
+const capturePayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment || payment.user.toString() !== req.user.userId.toString()) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.status === 'succeeded') {
+      return res.json({ payment, order: await Order.findById(payment.order) });
+    }
+
+    if (payment.status !== 'requires_capture') {
+      return res.status(409).json({ message: `Payment is already ${payment.status}` });
+    }
+
+    // Don't take the money for an order that was cancelled (or paid another way) meanwhile
+    const current = await Order.findById(payment.order);
+    if (!current || current.status !== 'pending') {
+      return res.status(409).json({
+        message: current ? `Order is already ${current.status}` : 'Order not found'
+      });
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    const result = await provider.capturePayment(payment.providerPaymentId, Payment.toMinorUnits(payment.amount));
+
+    if (result.status !== 'succeeded') {
+      await markPaymentFailed(payment, result.failureReason || 'Capture failed');
+      return res.status(402).json({ message: 'Payment capture failed', payment });
+    }
+
+    const order = await markPaymentSucceeded(payment, { changedBy: req.user.userId });
+    if (!order && payment.status !== 'succeeded') {
+      return res.status(409).json({ message: 'Payment is no longer awaiting capture' });
+    }
+    if (payment.status === 'refunded') {
+      return res.status(409).json({
+        message: 'The order could no longer be fulfilled when the payment completed, so it was cancelled and the payment refunded.',
+        payment,
+        order
+      });
+    }
+    res.json({ payment, order });
+  } catch (error) {
+    console.error('Error capturing payment:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error capturing payment', error: error.message });
+  }
+};
+
+// Refund a captured payment (orders:refund)
+const refundPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) return res.status(404).json({ message: 'Payment not found' });
+
+    if (payment.status !== 'succeeded') {
+      return res.status(409).json({ message: 'Only succeeded payments can be refunded' });
+    }
+
+    const order = await Order.findById(payment.order);
+    if (order && !order.canTransitionTo('refunded')) {
+      return res.status(409).json({ message: `Cannot refund an order that is ${order.status}` });
+    }
+
+    const updatedOrder = await refundSucceededPayment(payment, {
+      reason: req.body.reason,
+      changedBy: req.user.userId
+    });
+    if (updatedOrder === false) {
+      return res.status(409).json({ message: 'Payment has already been refunded, or is being refunded' });
+    }
+
+    res.json({ payment, order: updatedOrder });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error refunding payment', error: error.message });
+  }
+};
+
+// Apply a verified provider event to the matching payment and order
+const applyWebhookEvent = async (providerName, event) => {
+  const data = event.data || {};
+  const payment = await Payment.findOne({ provider: providerName, providerPaymentId: data.intentId });
+  if (!payment) return { handled: false, reason: 'Unknown payment' };
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      // Amounts in events are in minor units, like everything the provider sends
+      if (data.amount !== Payment.toMinorUnits(payment.amount)) {
+        console.error(`Webhook ${event.id}: amount ${data.amount} does not match payment ${payment._id}`);
+        return { handled: false, reason: 'Amount does not match the payment' };
+      }
+      if (['failed', 'refunding', 'refunded'].includes(payment.status)) {
+        return { handled: false, reason: `Payment is already ${payment.status}` };
+      }
+      await markPaymentSucceeded(payment, { note: `Webhook ${event.id}` });
+      return { handled: true };
+    case 'payment.failed':
+      await markPaymentFailed(payment, data.reason || 'Payment failed');
+      return { handled: true };
+    case 'payment.refunded':
+      await markPaymentRefunded(payment, {
+        providerRefundId: data.refundId,
+        amount: data.amount !== undefined ? Payment.fromMinorUnits(data.amount) : payment.amount,
+        reason: data.reason
+      });
+      return { handled: true };
+    default:
+      return { handled: false, reason: 'Unhandled event type' };
+  }
+};
+
+// Receive provider webhooks. Mounted before express.json so req.body is the raw Buffer.
+const handleWebhook = async (req, res) => {
+  let provider;
+  let event;
+
+  try {
+    provider = getPaymentProvider(req.params.provider);
+    event = provider.verifyWebhookSignature(req.body, req.headers);
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error.message);
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  if (!event || !event.id || !event.type) {
+    return res.status(400).json({ message: 'Malformed webhook event' });
+  }
+
+  let record;
+  try {
+    record = await WebhookEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      payload: event
+    });
+  } catch (error) {
+    if (error.code === 11000) return res.json({ received: true, duplicate: true });
+    console.error('Error recording webhook event:', error);
+    return res.status(500).json({ message: 'Error processing webhook', error: error.message });
+  }
+
+  try {
+    const result = await applyWebhookEvent(provider.name, event);
+    record.processedAt = new Date();
+    await record.save();
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('Error processing webhook:', error);
+    // Forget the event so the provider's retry is processed again
+    await WebhookEvent.deleteOne({ _id: record._id });
+    res.status(500).json({ message: 'Error processing webhook', error: error.message });
+  }
+};
+
+module.exports = {
+  createPaymentIntent,
+  capturePayment,
+  refundPayment,
+  handleWebhook
+};
@@ -1,20 +1,125 @@
 const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const {
+  parseProductQuery,
+  buildProductFilter,
+  toMongoSort,
+  encodeCursor,
+  cursorCondition
+} = require('../utils/productQuery');
+const {
+  parseVariantInput,
+  checkNewProductInput,
+  toProductData,
+  applyImageUrl
+} = require('../utils/productInput');
+const { saveProductImages, deleteProductImageFiles } = require('../services/imageStorage.service');
+const { queueBackInStockNotifications } = require('../services/notification.service');
+const {
+  snapshotStock,
+  recordStockEdits,
+  adjustStock,
+  prepareVariantEdit,
+  replaceVariants
+} = require('../services/inventory.service');
+const {
+  PRODUCT_COLUMNS,
+  IMPORT_FORMATS,
+  readImportRecords,
+  toImportRecord,
+  importProducts: runProductImport
+} = require('../services/productImport.service');
+const {
+  setProductStatus,
+  archiveProduct,
+  restoreProduct: restoreArchivedProduct,
+  purgeProduct: purgeArchivedProduct
+} = require('../services/productLifecycle.service');
+const { toAuditSnapshot, recordAudit } = require('../services/audit.service');
+const { toCsvLine } = require('../utils/csv');
+const { escapeRegex, fuzzyPrefixPattern, closestWordPrefixDistance } = require('../utils/search');
 
-// Get all products
+const SEARCH_MAX_LENGTH = 100;
+const SUGGEST_MAX_LENGTH = 50;
+const SUGGEST_LIMIT = 10;
+
+// Count products per category and brand. Each facet ignores its own filter so the
+// sidebar still shows the other options once one is selected.
+const getProductFacets = async (criteria, extraMatch = {}) => {
+  const [result] = await Product.aggregate([
+    { $match: { ...extraMatch, ...buildProductFilter(criteria, ['category', 'brand']) } },
+    {
+      $facet: {
+        categories: [
+          { $match: criteria.brand || {} },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        brands: [
+          { $match: criteria.category || {} },
+          { $group: { _id: '$brand', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const toFacet = ({ _id, count }) => ({ value: _id, count });
+  return {
+    categories: result.categories.map(toFacet),
+    brands: result.brands.map(toFacet)
+  };
+};
+
+// Widen a category filter to include products in subcategories
+const expandCategoryCriteria = async (criteria) => {
+  if (!criteria.category) return criteria;
+  const slugs = await Category.expandSlugs(criteria.category.category.$in);
+  return { ...criteria, category: { category: { $in: slugs } } };
+};
+
+// Get products with filters, sorting, pagination and facet counts
 const getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
-    res.json(products);
+    const parsed = parseProductQuery(req.query);
+    const { sort, page, limit, skip, cursor } = parsed;
+    const criteria = await expandCategoryCriteria(parsed.criteria);
+
+    const filter = buildProductFilter(criteria);
+    const pageFilter = cursor ? { $and: [filter, cursorCondition(cursor, sort)] } : filter;
+
+    const [products, total, facets] = await Promise.all([
+      Product.find(pageFilter).sort(toMongoSort(sort)).skip(skip).limit(limit + 1),
+      Product.countDocuments(filter),
+      getProductFacets(criteria)
+    ]);
+
+    const hasMore = products.length > limit;
+    if (hasMore) products.pop();
+
+    res.json({
+      products,
+      pagination: {
+        page: cursor ? undefined : page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(products[products.length - 1], sort) : null
+      },
+      facets
+    });
   } catch (error) {
     console.error('Error fetching products:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message, errors: error.details });
     res.status(500).json({ message: 'Error fetching products', error: error.message });
   }
 };
 
-// Get single product by ID
+// Get single product by ID (drafts, scheduled and archived products are hidden)
 const getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne({ _id: req.params.id, isActive: true });
     if (!product) return res.status(404).json({ message: 'Product not found' });
     res.json(product);
   } catch (error) {
@@ -23,157 +128,624 @@ const getProductById = async (req, res) => {
   }
 };
 
-// Create new product (Admin only)
+// Create new product (catalog staff). Accepts JSON with an image URL, or multipart with uploaded images.
+// `status` may be draft, scheduled (with `publishAt`) or published (the default).
 const createProduct = async (req, res) => {
+  let uploaded = [];
   try {
-    const { name, description, price, image, category, stock, brand, rating } = req.body;
+    const files = req.files || [];
+    const variantInput = parseVariantInput(req.body);
+    const hasVariants = Boolean(variantInput.variants && variantInput.variants.length);
 
-    // Validation
-    if (!name || !description || !price || !image || !category || stock === undefined) {
-      return res.status(400).json({ 
-        message: 'All fields are required: name, description, price, image, category, stock' 
-      });
-    }
+    const invalid = checkNewProductInput(req.body, { hasVariants, hasUploads: files.length > 0 });
+    if (invalid) return res.status(400).json({ message: invalid });
 
-    if (price <= 0) {
-      return res.status(400).json({ message: 'Price must be greater than 0' });
+    const product = new Product(toProductData(req.body, variantInput));
+    if (req.body.status !== undefined) {
+      setProductStatus(product, { status: req.body.status, publishAt: req.body.publishAt });
     }
 
-    if (stock < 0) {
-      return res.status(400).json({ message: 'Stock cannot be negative' });
-    }
+    uploaded = await saveProductImages(files);
+    if (uploaded.length) product.addImages(uploaded.map(entry => ({ url: entry.url, filename: entry.filename })));
 
-    const product = new Product({
-      name,
-      description,
-      price: parseFloat(price),
-      image,
-      category,
-      stock: parseInt(stock),
-      brand: brand || 'MadeInIndia',
-      rating: rating !== undefined ? parseFloat(rating) : 0
-    });
     const savedProduct = await product.save();
+
+    // Opening stock enters the ledger as a restock
+    await recordStockEdits({ stock: 0, variants: new Map() }, savedProduct, {
+      reason: 'restock', user: req.user.userId, note: 'Opening stock'
+    });
+    await recordAudit(req, { action: 'product.create', target: savedProduct, after: savedProduct });
+
     res.status(201).json(savedProduct);
   } catch (error) {
     console.error('Error creating product:', error);
+    await deleteProductImageFiles(uploaded.map(image => image.filename));
+    if (error.code === 11000) return res.status(400).json({ message: 'Variant SKU already exists' });
+    if (error.status) return res.status(error.status).json({ message: error.message });
     if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
     res.status(500).json({ message: 'Error creating product', error: error.message });
   }
 };
 
-// Update product (Admin only)
+// Update product (catalog staff). `stock` sets a product's level through the stock ledger, as a
+// compare-and-set that never overwrites sales landing at the same time; products with variants
+// keep stock per variant. Variant edits keep the current stock of variants that stay; `stock`
+// on a variant only seeds new ones.
 const updateProduct = async (req, res) => {
   try {
-    const { name, description, price, image, category, stock, brand, rating } = req.body;
+    const { name, description, price, image, category, brand, hsnCode, gstRate, weight, lowStockThreshold } = req.body;
+    const stock = req.body.stock === undefined || req.body.stock === '' ? undefined : Number(req.body.stock);
 
     // Validation
     if (price !== undefined && price <= 0) {
       return res.status(400).json({ message: 'Price must be greater than 0' });
     }
-
-    if (stock !== undefined && stock < 0) {
-      return res.status(400).json({ message: 'Stock cannot be negative' });
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+      return res.status(400).json({ message: 'Stock must be a whole number of at least 0' });
     }
 
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (description) updateData.description = description;
-    if (price !== undefined) updateData.price = parseFloat(price);
-    if (image) updateData.image = image;
-    if (category) updateData.category = category;
-    if (stock !== undefined) updateData.stock = parseInt(stock);
-    if (brand) updateData.brand = brand;
-    if (rating !== undefined) updateData.rating = parseFloat(rating);
+    const { options, variants } = parseVariantInput(req.body);
 
-    const product = await Product.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+    const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: 'Product not found' });
+    const snapshot = toAuditSnapshot(product);
+    let stockBefore = snapshotStock(product);
 
-    res.json(product);
+    // Check variant edits before anything is saved
+    const variantEdit = options !== undefined || variants !== undefined
+      ? await prepareVariantEdit(product, { options, variants })
+      : null;
+    if (stock !== undefined && (variantEdit || product).hasVariants()) {
+      return res.status(400).json({ message: 'Stock is managed per variant for this product; set it on each variant' });
+    }
+
+    const applyEdits = (target) => {
+      if (name) target.name = name;
+      if (description) target.description = description;
+      if (price !== undefined) target.price = parseFloat(price);
+      if (category) target.category = category;
+      if (brand) target.brand = brand;
+      if (hsnCode !== undefined) target.hsnCode = hsnCode || undefined;
+      if (gstRate !== undefined) target.gstRate = gstRate === null || gstRate === '' ? undefined : Number(gstRate);
+      if (weight !== undefined) target.weight = Number(weight);
+      if (lowStockThreshold !== undefined) {
+        target.lowStockThreshold = lowStockThreshold === null || lowStockThreshold === '' ? undefined : Number(lowStockThreshold);
+      }
+      if (req.body.status !== undefined) {
+        setProductStatus(target, { status: req.body.status, publishAt: req.body.publishAt });
+      }
+
+      // A new `image` URL becomes the primary gallery image when the product has a gallery
+      if (image) applyImageUrl(target, image);
+    };
+    applyEdits(product);
+    await product.validate();
+
+    // Variants go first, since they are the part that can still be refused (409). The other
+    // fields are then saved on the product as replaceVariants() left it, not on the stale copy.
+    let updated = product;
+    if (variantEdit) {
+      const result = await replaceVariants(variantEdit, { user: req.user.userId, note: 'Product edited' });
+      updated = result.product;
+      stockBefore = result.stockBefore;
+      applyEdits(updated);
+    }
+    await updated.save();
+
+    if (stock !== undefined) {
+      ({ product: updated } = await adjustStock(product._id, {
+        stock, reason: 'adjustment', user: req.user.userId, note: 'Product edited'
+      }));
+    }
+
+    // Tell subscribers when the edit brings stock back; failures here never fail the update
+    if (variantEdit || stock !== undefined) {
+      queueBackInStockNotifications(updated, stockBefore)
+        .catch(error => console.error('Back-in-stock notification error:', error));
+    }
+    await recordAudit(req, { action: 'product.update', target: updated, before: snapshot, after: updated });
+
+    res.json(updated);
   } catch (error) {
     console.error('Error updating product:', error);
+    if (error.code === 11000) return res.status(400).json({ message: 'Variant SKU already exists' });
+    if (error.status) return res.status(error.status).json({ message: error.message });
     if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
     res.status(500).json({ message: 'Error updating product', error: error.message });
   }
 };
 
-// Delete product (Admin only)
+// Archive a product (catalog staff). It disappears from the storefront but stays in orders,
+// reviews and reports; it can be restored, or purged once nothing references it.
 const deleteProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const before = await Product.findById(req.params.id);
+    if (!before) return res.status(404).json({ message: 'Product not found' });
+
+    const product = await archiveProduct(req.params.id, { user: req.user.userId });
+    await recordAudit(req, { action: 'product.archive', target: product, before, after: product });
+    res.json({ message: 'Product archived successfully', product });
+  } catch (error) {
+    console.error('Error archiving product:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error archiving product', error: error.message });
+  }
+};
+
+// Upload images to a product's gallery (catalog staff)
+const addProductImages = async (req, res) => {
+  let uploaded = [];
+  try {
+    const files = req.files || [];
+    if (files.length === 0) return res.status(400).json({ message: 'No images uploaded' });
+
+    const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: 'Product not found' });
-    res.json({ message: 'Product deleted successfully' });
+
+    if (product.images.length + files.length > Product.MAX_IMAGES) {
+      return res.status(400).json({ message: `A product can have at most ${Product.MAX_IMAGES} images` });
+    }
+
+    const snapshot = toAuditSnapshot(product);
+    uploaded = await saveProductImages(files);
+    product.addImages(uploaded.map(image => ({ url: image.url, filename: image.filename })));
+
+    await product.save();
+    await recordAudit(req, {
+      action: 'product.update', target: product, before: snapshot, after: product, fields: ['image', 'images']
+    });
+    res.status(201).json(product);
   } catch (error) {
-    console.error('Error deleting product:', error);
-    res.status(500).json({ message: 'Error deleting product', error: error.message });
+    console.error('Error uploading product images:', error);
+    await deleteProductImageFiles(uploaded.map(image => image.filename));
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error uploading product images', error: error.message });
   }
 };
 
-// Update product rating
-const updateProductRating = async (req, res) => {
+// Reorder gallery images and/or choose the primary image (catalog staff)
+const updateProductImages = async (req, res) => {
   try {
-    const { rating } = req.body;
-    if (!rating || rating < 0 || rating > 5) return res.status(400).json({ message: 'Invalid rating value. Must be between 0 and 5.' });
+    const { order, primary } = req.body;
 
     const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: 'Product not found' });
+    const snapshot = toAuditSnapshot(product);
 
-    if (product.ratingCount) {
-      const totalRating = product.rating * product.ratingCount;
-      product.ratingCount += 1;
-      product.rating = (totalRating + rating) / product.ratingCount;
-    } else {
-      product.rating = rating;
-      product.ratingCount = 1;
+    if (order !== undefined) {
+      const ids = product.images.map(image => image._id.toString());
+      if (!Array.isArray(order) || order.length !== ids.length || !ids.every(id => order.includes(id))) {
+        return res.status(400).json({ message: 'Order must list every image ID of the product exactly once' });
+      }
+      order.forEach((id, index) => { product.images.id(id).sortOrder = index; });
+    }
+
+    if (primary !== undefined && !product.setPrimaryImage(primary)) {
+      return res.status(400).json({ message: 'Primary image not found on this product' });
+    }
+
+    await product.save();
+    await recordAudit(req, {
+      action: 'product.update', target: product, before: snapshot, after: product, fields: ['image', 'images']
+    });
+    res.json(product);
+  } catch (error) {
+    console.error('Error updating product images:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating product images', error: error.message });
+  }
+};
+
+// Remove an image from a product's gallery (catalog staff)
+const deleteProductImage = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ message: 'Image not found' });
+
+    if (product.images.length === 1) {
+      return res.status(400).json({ message: 'A product must keep at least one image' });
     }
 
+    const snapshot = toAuditSnapshot(product);
+    const { filename } = image;
+    image.deleteOne();
     await product.save();
+    await recordAudit(req, {
+      action: 'product.update', target: product, before: snapshot, after: product, fields: ['image', 'images']
+    });
+
+    await deleteProductImageFiles([filename]);
     res.json(product);
   } catch (error) {
-    console.error('Error updating product rating:', error);
-    res.status(500).json({ message: 'Error updating product rating', error: error.message });
+    console.error('Error deleting product image:', error);
+    res.status(500).json({ message: 'Error deleting product image', error: error.message });
   }
 };
 
 // Get products by category
 const getProductsByCategory = async (req, res) => {
   try {
-    const products = await Product.find({ category: req.params.category }).sort({ createdAt: -1 });
-    res.json(products);
+    const category = await Category.findOne({ slug: req.params.category.toLowerCase(), isActive: true });
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+
+    const [slugs, subcategories] = await Promise.all([
+      Category.expandSlugs([category.slug]),
+      Category.find({ parent: category._id, isActive: true }).select('name slug image sortOrder').sort({ sortOrder: 1, name: 1 })
+    ]);
+
+    const products = await Product.find({ category: { $in: slugs }, isActive: true }).sort({ createdAt: -1 });
+
+    res.json({
+      category: {
+        id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        image: category.image
+      },
+      subcategories,
+      products
+    });
   } catch (error) {
     console.error('Error fetching products by category:', error);
     res.status(500).json({ message: 'Error fetching products by category', error: error.message });
   }
 };
 
-// Search products
+// Search products by relevance using the weighted text index, with the listing filters
 const searchProducts = async (req, res) => {
   try {
-    const { q } = req.query;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
     if (!q) return res.status(400).json({ message: 'Search query is required' });
+    if (q.length > SEARCH_MAX_LENGTH) {
+      return res.status(400).json({ message: `Search query cannot exceed ${SEARCH_MAX_LENGTH} characters` });
+    }
+
+    const parsed = parseProductQuery(req.query, {
+      extraParams: ['q'],
+      defaultSort: 'relevance'
+    });
+    const { sort, page, limit, skip, cursor } = parsed;
+    const criteria = await expandCategoryCriteria(parsed.criteria);
+
+    const textMatch = { $text: { $search: q } };
+    const filter = { ...textMatch, ...buildProductFilter(criteria) };
+    const pageFilter = cursor ? { $and: [filter, cursorCondition(cursor, sort)] } : filter;
+    const mongoSort = sort ? toMongoSort(sort) : { score: { $meta: 'textScore' }, _id: -1 };
 
-    const products = await Product.find({
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { category: { $regex: q, $options: 'i' } }
-      ]
-    }).sort({ createdAt: -1 });
+    const [products, total, facets] = await Promise.all([
+      Product.find(pageFilter, { score: { $meta: 'textScore' } }).sort(mongoSort).skip(skip).limit(limit + 1),
+      Product.countDocuments(filter),
+      getProductFacets(criteria, textMatch)
+    ]);
 
-    res.json(products);
+    const hasMore = products.length > limit;
+    if (hasMore) products.pop();
+
+    res.json({
+      query: q,
+      products,
+      pagination: {
+        page: cursor ? undefined : page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: hasMore && sort ? encodeCursor(products[products.length - 1], sort) : null
+      },
+      facets
+    });
   } catch (error) {
     console.error('Error searching products:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message, errors: error.details });
     res.status(500).json({ message: 'Error searching products', error: error.message });
   }
 };
 
+// Autocomplete: word-prefix matches on name and brand, topped up with one-typo matches
+const suggestProducts = async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) return res.status(400).json({ message: 'Search query is required' });
+    if (q.length > SUGGEST_MAX_LENGTH) {
+      return res.status(400).json({ message: `Search query cannot exceed ${SUGGEST_MAX_LENGTH} characters` });
+    }
+
+    const projection = 'name brand image price category ratingCount';
+    const prefix = { $regex: `(^|\\s)${escapeRegex(q)}`, $options: 'i' };
+    const exact = await Product.find({ isActive: true, $or: [{ name: prefix }, { brand: prefix }] })
+      .select(projection)
+      .sort({ ratingCount: -1, _id: 1 })
+      .limit(SUGGEST_LIMIT);
+
+    let fuzzy = [];
+    if (exact.length < SUGGEST_LIMIT && q.length >= 3) {
+      const pattern = { $regex: fuzzyPrefixPattern(q), $options: 'i' };
+      const candidates = await Product.find({
+        isActive: true,
+        _id: { $nin: exact.map(product => product._id) },
+        $or: [{ name: pattern }, { brand: pattern }]
+      })
+        .select(projection)
+        .limit(SUGGEST_LIMIT * 5);
+
+      fuzzy = candidates
+        .map(product => ({
+          product,
+          distance: Math.min(closestWordPrefixDistance(product.name, q), closestWordPrefixDistance(product.brand, q))
+        }))
+        .filter(({ distance }) => distance <= 1)
+        .sort((a, b) => a.distance - b.distance || b.product.ratingCount - a.product.ratingCount)
+        .slice(0, SUGGEST_LIMIT - exact.length)
+        .map(({ product }) => product);
+    }
+
+    const toSuggestion = (product, match) => ({
+      id: product._id,
+      name: product.name,
+      brand: product.brand,
+      category: product.category,
+      image: product.image,
+      price: product.price,
+      match
+    });
+
+    const suggestions = [
+      ...exact.map(product => toSuggestion(product, 'prefix')),
+      ...fuzzy.map(product => toSuggestion(product, 'fuzzy'))
+    ];
+
+    const brands = [...new Set(suggestions
+      .map(suggestion => suggestion.brand)
+      .filter(brand => brand && closestWordPrefixDistance(brand, q) <= 1))];
+
+    res.json({ query: q, suggestions, brands });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({ message: 'Error fetching suggestions', error: error.message });
+  }
+};
+
+const EXPORT_STATUSES = ['active', 'inactive', 'all'];
+
+// Work out an import file's format from ?format=, then its extension, then its MIME type
+const detectImportFormat = (file, format) => {
+  if (format) return String(format).toLowerCase();
+  if (/\.json$/i.test(file.originalname) || file.mimetype === 'application/json') return 'json';
+  return 'csv';
+};
+
+// Import products from an uploaded CSV/JSON file or a JSON body of { products: [...] } (catalog staff).
+// Options (query or body): dryRun=true, mode=all-or-nothing|partial, matchBy=sku|name, format=csv|json
+const importProducts = async (req, res) => {
+  try {
+    const options = { ...req.query, ...req.body };
+    let records;
+
+    if (req.file) {
+      const format = detectImportFormat(req.file, options.format);
+      if (!IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+      }
+      records = readImportRecords(req.file.buffer.toString('utf8'), format);
+    } else if (Array.isArray(req.body.products)) {
+      records = req.body.products;
+    } else {
+      return res.status(400).json({ message: 'Upload a CSV or JSON file in the "file" field, or send { "products": [...] }' });
+    }
+
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    const { ok, summary } = await runProductImport(records, {
+      dryRun,
+      mode: options.mode || 'all-or-nothing',
+      matchBy: options.matchBy || 'sku',
+      user: req.user.userId
+    });
+
+    if (!dryRun && summary.created + summary.updated > 0) {
+      const { rows, ...totals } = summary;
+      await recordAudit(req, {
+        action: 'product.import',
+        metadata: {
+          ...totals,
+          products: rows.filter(row => row.status === 'saved').map(row => ({ productId: row.productId, action: row.action }))
+        }
+      });
+    }
+
+    if (!ok) {
+      return res.status(422).json({
+        message: dryRun
+          ? `${summary.failed} row(s) have errors`
+          : `Import rejected: ${summary.failed} row(s) have errors; nothing was saved`,
+        ...summary
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Dry run complete; nothing was saved' : 'Import complete',
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error importing products:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error importing products', error: error.message });
+  }
+};
+
+// Export products as CSV or JSON (catalog staff), streamed so the catalog never sits in memory.
+// Takes the listing filters (category, brand, price, rating, inStock, sort) plus
+// status=active|inactive|all and format=csv|json. The columns match what import reads.
+const exportProducts = async (req, res) => {
+  let cursor;
+  try {
+    const { criteria, sort } = parseProductQuery(req.query, { extraParams: ['format', 'status'] });
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const status = req.query.status || 'active';
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+    if (!EXPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${EXPORT_STATUSES.join(', ')}` });
+    }
+
+    const filter = buildProductFilter(await expandCategoryCriteria(criteria));
+    if (status === 'all') delete filter.isActive;
+    if (status === 'inactive') filter.isActive = false;
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${stamp}.${format}"`);
+
+    cursor = Product.find(filter).sort(toMongoSort(sort)).cursor();
+    req.on('close', () => cursor.close().catch(() => {}));
+
+    // Respect backpressure so a slow client doesn't make the export buffer in memory
+    const write = (chunk) => (res.write(chunk) ? null : new Promise(resolve => res.once('drain', resolve)));
+
+    await write(format === 'csv' ? toCsvLine(PRODUCT_COLUMNS) : '[');
+    let first = true;
+    for await (const product of cursor) {
+      if (res.destroyed) break;
+      const record = toImportRecord(product);
+      const chunk = format === 'csv'
+        ? toCsvLine(PRODUCT_COLUMNS.map(column => record[column]))
+        : `${first ? '' : ','}\n${JSON.stringify(record)}`;
+      first = false;
+      await write(chunk);
+    }
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    if (cursor) await cursor.close().catch(() => {});
+    if (res.headersSent) return res.destroy(error);
+    if (error.status) return res.status(error.status).json({ message: error.message, errors: error.details });
+    res.status(500).json({ message: 'Error exporting products', error: error.message });
+  }
+};
+
+// List products in any status for catalog staff. Takes the listing filters plus
+// status=draft|scheduled|published|archived|all (default all) and q (name contains).
+const getAdminProducts = async (req, res) => {
+  try {
+    const { criteria, sort, page, limit, skip } = parseProductQuery(req.query, { extraParams: ['status', 'q'] });
+    const status = req.query.status || 'all';
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (status !== 'all' && !Product.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${[...Product.STATUSES, 'all'].join(', ')}` });
+    }
+    if (q.length > SEARCH_MAX_LENGTH) {
+      return res.status(400).json({ message: `Search query cannot exceed ${SEARCH_MAX_LENGTH} characters` });
+    }
+
+    const filter = buildProductFilter(await expandCategoryCriteria(criteria));
+    delete filter.isActive;
+    if (status !== 'all') filter.status = status;
+    if (q) filter.name = { $regex: escapeRegex(q), $options: 'i' };
+
+    const [products, total] = await Promise.all([
+      Product.find(filter).sort(toMongoSort(sort)).skip(skip).limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      products,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message, errors: error.details });
+    res.status(500).json({ message: 'Error fetching products', error: error.message });
+  }
+};
+
+// Get any product by ID, whatever its status (catalog staff)
+const getAdminProductById = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).populate('archivedBy', 'name email');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    res.json(product);
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({ message: 'Error fetching product', error: error.message });
+  }
+};
+
+// Publish, unpublish (draft) or schedule a product (catalog staff). Body: { status, publishAt }
+const updateProductStatus = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const snapshot = toAuditSnapshot(product);
+    setProductStatus(product, { status: req.body.status, publishAt: req.body.publishAt });
+    await product.save();
+    await recordAudit(req, { action: 'product.status', target: product, before: snapshot, after: product });
+    res.json(product);
+  } catch (error) {
+    console.error('Error updating product status:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating product status', error: error.message });
+  }
+};
+
+// Restore an archived product (catalog staff). Body: { status, publishAt }; status defaults to published.
+const restoreProduct = async (req, res) => {
+  try {
+    const before = await Product.findById(req.params.id);
+    if (!before) return res.status(404).json({ message: 'Product not found' });
+
+    const product = await restoreArchivedProduct(req.params.id, {
+      status: req.body.status || 'published',
+      publishAt: req.body.publishAt
+    });
+    await recordAudit(req, { action: 'product.restore', target: product, before, after: product });
+    res.json({ message: 'Product restored successfully', product });
+  } catch (error) {
+    console.error('Error restoring product:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error restoring product', error: error.message });
+  }
+};
+
+// Permanently delete an archived product that no order, review or coupon references (catalog staff)
+const purgeProduct = async (req, res) => {
+  try {
+    const product = await purgeArchivedProduct(req.params.id);
+    await recordAudit(req, { action: 'product.purge', target: product, before: product });
+    res.json({ message: 'Product deleted permanently' });
+  } catch (error) {
+    console.error('Error purging product:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message, references: error.details });
+    res.status(500).json({ message: 'Error purging product', error: error.message });
+  }
+};
+
 module.exports = {
   getAllProducts,
   getProductById,
   createProduct,
   updateProduct,
   deleteProduct,
+  addProductImages,
+  updateProductImages,
+  deleteProductImage,
   getProductsByCategory,
   searchProducts,
-  updateProductRating // ✅ fixed: now exported
+  suggestProducts,
+  importProducts,
+  exportProducts,
+  getAdminProducts,
+  getAdminProductById,
+  updateProductStatus,
+  restoreProduct,
+  purgeProduct
 };
\ No newline at end of file
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Review = require('../models/review.model');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const { hasPermission } = require('../config/permissions');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 }
+};
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 50);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Pick the editable review fields out of a request body
+const pickReviewFields = ({ rating, title, body }) => {
+  const fields = {};
+  if (rating !== undefined) fields.rating = Number(rating);
+  if (title !== undefined) fields.title = title;
+  if (body !== undefined) fields.body = body;
+  return fields;
+};
+
+// Get approved reviews for a product
+const getProductReviews = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+
+    const sortKey = req.query.sort || 'newest';
+    if (!REVIEW_SORTS[sortKey]) {
+      return res.status(400).json({ message: `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, isActive: true }).select('rating ratingCount');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { product: product._id, status: 'approved' };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter).populate('user', 'name').sort(REVIEW_SORTS[sortKey]).skip(skip).limit(limit),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews,
+      rating: product.rating,
+      ratingCount: product.ratingCount,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ message: 'Error fetching reviews', error: error.message });
+  }
+};
+
+// Create a review for a product (one per user)
+const createReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+
+    const product = await Product.findOne({ _id: req.params.id, isActive: true });
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const fields = pickReviewFields(req.body);
+    if (fields.rating === undefined) return res.status(400).json({ message: 'Rating is required' });
+
+    const existing = await Review.exists({ product: product._id, user: req.user.userId });
+    if (existing) return res.status(409).json({ message: 'You have already reviewed this product' });
+
+    const verifiedPurchase = Boolean(await Order.exists({
+      user: req.user.userId,
+      'items.product': product._id,
+      status: { $in: ['paid', 'shipped', 'delivered'] }
+    }));
+
+    const review = await Review.create({
+      ...fields,
+      product: product._id,
+      user: req.user.userId,
+      verifiedPurchase
+    });
+
+    await Review.recalculateProductRating(product._id);
+    res.status(201).json(review);
+  } catch (error) {
+    console.error('Error creating review:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    if (error.code === 11000) return res.status(409).json({ message: 'You have already reviewed this product' });
+    res.status(500).json({ message: 'Error creating review', error: error.message });
+  }
+};
+
+// Update own review
+const updateReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review || review.user.toString() !== req.user.userId.toString()) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    Object.assign(review, pickReviewFields(req.body));
+    await review.save();
+
+    await Review.recalculateProductRating(review.product);
+    res.json(review);
+  } catch (error) {
+    console.error('Error updating review:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating review', error: error.message });
+  }
+};
+
+// Delete own review (moderators may delete any review)
+const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    const isOwner = review && review.user.toString() === req.user.userId.toString();
+    if (!review || (!isOwner && !hasPermission(req.user, 'reviews:moderate'))) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await review.deleteOne();
+    await Review.recalculateProductRating(review.product);
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ message: 'Error deleting review', error: error.message });
+  }
+};
+
+// Mark a review as helpful (once per user, not on own review)
+const markReviewHelpful = async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, status: 'approved' }).select('user');
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+
+    if (review.user.toString() === req.user.userId.toString()) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    await Review.updateOne(
+      { _id: review._id, helpfulVotes: { $ne: req.user.userId } },
+      { $push: { helpfulVotes: req.user.userId }, $inc: { helpfulCount: 1 } }
+    );
+
+    const updated = await Review.findById(review._id).select('helpfulCount');
+    res.json({ id: updated._id, helpfulCount: updated.helpfulCount, votedHelpful: true });
+  } catch (error) {
+    console.error('Error voting on review:', error);
+    res.status(500).json({ message: 'Error voting on review', error: error.message });
+  }
+};
+
+// Remove own helpful vote
+const unmarkReviewHelpful = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id).select('_id');
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+
+    await Review.updateOne(
+      { _id: review._id, helpfulVotes: req.user.userId },
+      { $pull: { helpfulVotes: req.user.userId }, $inc: { helpfulCount: -1 } }
+    );
+
+    const updated = await Review.findById(review._id).select('helpfulCount');
+    res.json({ id: updated._id, helpfulCount: updated.helpfulCount, votedHelpful: false });
+  } catch (error) {
+    console.error('Error removing review vote:', error);
+    res.status(500).json({ message: 'Error removing review vote', error: error.message });
+  }
+};
+
+// List reviews for moderation (moderators)
+const getReviewsForModeration = async (req, res) => {
+  try {
+    const { status, product } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (status) {
+      if (!Review.STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${Review.STATUSES.join(', ')}` });
+      }
+      filter.status = status;
+    }
+
+    if (product) {
+      if (!mongoose.Types.ObjectId.isValid(product)) return res.status(400).json({ message: 'Invalid product ID' });
+      filter.product = product;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name email')
+        .populate('product', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({ reviews, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({ message: 'Error fetching reviews', error: error.message });
+  }
+};
+
+// Hide or approve a review (moderators)
+const moderateReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!Review.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${Review.STATUSES.join(', ')}` });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+
+    review.status = status;
+    review.moderatedBy = req.user.userId;
+    review.moderatedAt = new Date();
+    if (note !== undefined) review.moderationNote = note;
+    await review.save();
+
+    await Review.recalculateProductRating(review.product);
+    res.json(review);
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error moderating review', error: error.message });
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  markReviewHelpful,
+  unmarkReviewHelpful,
+  getReviewsForModeration,
+  moderateReview
+};
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Order = require('../models/order.model');
+const Session = require('../models/session.model');
+const { ROLES, ROLE_PERMISSIONS, getRolePermissions } = require('../config/permissions');
+const { escapeRegex } = require('../utils/search');
+const { recordAudit } = require('../services/audit.service');
+const { clearLoginFailures } = require('../services/loginLockout.service');
+const { resetRateLimit } = require('../services/rateLimit');
+
+const USER_STATUSES = ['active', 'inactive'];
+const RECENT_ORDER_LIMIT = 20;
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Look up a user by route id, answering 400/404 itself when it can't
+const findUserForRequest = async (req, res, projection = '-password') => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid ID format' });
+    return null;
+  }
+  const user = await User.findById(req.params.id).select(projection);
+  if (!user) res.status(404).json({ message: 'User not found' });
+  return user;
+};
+
+// Search users by name or email, filtered by role and status (users:read)
+const getUsers = async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (q !== undefined) {
+      if (typeof q !== 'string') return res.status(400).json({ message: 'Search term must be a string' });
+      const term = q.trim();
+      if (term) {
+        const pattern = new RegExp(escapeRegex(term), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+    }
+
+    if (role) {
+      const roles = String(role).split(',');
+      const invalid = roles.filter(r => !ROLES.includes(r));
+      if (invalid.length) return res.status(400).json({ message: `Invalid role: ${invalid.join(', ')}` });
+      filter.role = { $in: roles };
+    }
+
+    if (status) {
+      if (!USER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${USER_STATUSES.join(', ')}` });
+      }
+      filter.isActive = status === 'active';
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select('-password').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Error fetching users', error: error.message });
+  }
+};
+
+// Get a user with their order history and active sessions (users:read)
+const getUserById = async (req, res) => {
+  try {
+    const user = await findUserForRequest(req, res);
+    if (!user) return;
+
+    const [orders, orderStats, activeSessions] = await Promise.all([
+      Order.find({ user: user._id })
+        .select('items.name items.quantity itemCount total status createdAt paidAt')
+        .sort({ createdAt: -1 })
+        .limit(RECENT_ORDER_LIMIT),
+      Order.aggregate([
+        { $match: { user: user._id } },
+        {
+          $group: {
+            _id: null,
+            orderCount: { $sum: 1 },
+            totalSpent: {
+              $sum: { $cond: [{ $in: ['$status', ['paid', 'shipped', 'delivered']] }, '$total', 0] }
+            },
+            lastOrderAt: { $max: '$createdAt' }
+          }
+        }
+      ]),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    const stats = orderStats[0] || { orderCount: 0, totalSpent: 0, lastOrderAt: null };
+
+    res.json({
+      user: { ...user.toJSON(), permissions: getRolePermissions(user.role) },
+      orders,
+      orderSummary: {
+        orderCount: stats.orderCount,
+        totalSpent: Math.round(stats.totalSpent * 100) / 100,
+        lastOrderAt: stats.lastOrderAt
+      },
+      activeSessions
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ message: 'Error fetching user', error: error.message });
+  }
+};
+
+// Deactivate or reactivate a user (users:write). Deactivation ends every session.
+const updateUserStatus = async (req, res) => {
+  try {
+    const { isActive, reason } = req.body;
+    if (typeof isActive !== 'boolean') return res.status(400).json({ message: 'isActive must be true or false' });
+
+    const user = await findUserForRequest(req, res);
+    if (!user) return;
+
+    if (!isActive) {
+      if (user._id.toString() === req.user.userId.toString()) {
+        return res.status(400).json({ message: 'You cannot deactivate your own account' });
+      }
+
+      // Never lock out the last active admin
+      if (user.role === 'admin' && user.isActive) {
+        const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+        if (otherAdmins === 0) return res.status(409).json({ message: 'Cannot deactivate the last admin' });
+      }
+    }
+
+    if (user.isActive !== isActive) {
+      user.isActive = isActive;
+      user.deactivatedAt = isActive ? undefined : new Date();
+      user.deactivatedBy = isActive ? undefined : req.user.userId;
+      user.deactivationReason = isActive ? undefined : reason;
+      await user.save();
+      await recordAudit(req, {
+        action: 'user.status',
+        target: user,
+        changes: [{ field: 'isActive', before: !isActive, after: isActive }],
+        metadata: reason ? { reason } : undefined
+      });
+    }
+
+    let sessionsRevoked = 0;
+    if (!isActive) {
+      const result = await Session.revokeAllForUser(user._id, 'revoked-by-admin');
+      sessionsRevoked = result.modifiedCount;
+    }
+
+    res.json({
+      message: isActive ? 'User reactivated' : 'User deactivated',
+      user,
+      sessionsRevoked
+    });
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating user status', error: error.message });
+  }
+};
+
+// Revoke every session a user has, forcing them to log in again (users:write)
+const forceLogoutUser = async (req, res) => {
+  try {
+    const user = await findUserForRequest(req, res, '_id');
+    if (!user) return;
+
+    const result = await Session.revokeAllForUser(user._id, 'revoked-by-admin');
+    res.json({ message: 'User logged out of all sessions', sessionsRevoked: result.modifiedCount });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ message: 'Error revoking user sessions', error: error.message });
+  }
+};
+
+// Lift a failed-login lockout and clear the account's login rate limit (users:write)
+const unlockUser = async (req, res) => {
+  try {
+    const user = await findUserForRequest(req, res);
+    if (!user) return;
+
+    const wasLocked = user.isLocked();
+    const changes = [
+      { field: 'lockedUntil', before: user.lockedUntil, after: null },
+      { field: 'failedLoginAttempts', before: user.failedLoginAttempts, after: 0 }
+    ].filter(change => change.before);
+
+    await clearLoginFailures(user);
+    await resetRateLimit('login', 'account', user.email);
+    await recordAudit(req, { action: 'user.unlock', target: user, changes });
+
+    res.json({ message: wasLocked ? 'User unlocked' : 'User was not locked; failed logins cleared', user });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Error unlocking user', error: error.message });
+  }
+};
+
+// List roles and the permissions each one grants
+const getRoles = async (req, res) => {
+  try {
+    res.json(ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Error fetching roles', error: error.message });
+  }
+};
+
+// Assign a role to a user (roles:assign)
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+    if (req.params.id === req.user.userId.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // Never demote the last active admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+      if (otherAdmins === 0) return res.status(409).json({ message: 'Cannot remove the last admin' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAudit(req, { action: 'user.role', target: user, changes: [{ field: 'role', before: previousRole, after: role }] });
+
+    res.json({
+      message: 'Role updated successfully',
+      user: { id: user._id, name: user.name, email: user.email, role: user.role, previousRole }
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error updating user role', error: error.message });
+  }
+};
+
+module.exports = {
+  getRoles,
+  updateUserRole,
+  getUsers,
+  getUserById,
+  updateUserStatus,
+  forceLogoutUser,
+  unlockUser
+};
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Wishlist = require('../models/wishlist.model');
+const Cart = require('../models/cart.model');
+const Product = require('../models/product.model');
+const StockSubscription = require('../models/stockSubscription.model');
+const { checkProductAvailability, priceCart } = require('../services/cart.service');
+
+// Load an active product and, when given, one of its active variants
+const findWishlistProduct = async (productId, variantId) => {
+  if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+    return { status: 400, message: 'Invalid product ID' };
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    return { status: 400, message: 'Invalid variant ID' };
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) {
+    return { status: 404, message: 'Product not found or no longer available' };
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (variantId && (!variant || !variant.isActive)) {
+    return { status: 404, message: 'Variant not found or no longer available' };
+  }
+
+  return { product, variant };
+};
+
+// Wishlist summary plus which entries the user has asked to be notified about
+const buildWishlistResponse = async (wishlist, userId) => {
+  const summary = await wishlist.getSummary();
+  const subscriptions = await StockSubscription.find({ user: userId, status: 'active' }).select('product variant');
+  const subscribed = new Set(subscriptions.map(sub => `${sub.product}:${sub.variant || ''}`));
+
+  summary.items = summary.items.map(item => ({
+    ...item,
+    notifyWhenInStock: Boolean(item.product) &&
+      subscribed.has(`${item.product.id}:${item.variant ? item.variant.id : ''}`)
+  }));
+  return summary;
+};
+
+// Get current user's wishlist with live prices and stock
+const getWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOrCreateForUser(req.user.userId);
+    res.json(await buildWishlistResponse(wishlist, req.user.userId));
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).json({ message: 'Error fetching wishlist', error: error.message });
+  }
+};
+
+// Save a product (optionally a specific variant) to the wishlist
+const addToWishlist = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const { product, status, message } = await findWishlistProduct(productId, variantId);
+    if (!product) return res.status(status).json({ message });
+
+    const wishlist = await Wishlist.findOrCreateForUser(req.user.userId);
+    if (!wishlist.findItem(product._id, variantId)) {
+      wishlist.items.push({ product: product._id, variant: variantId || undefined });
+      await wishlist.save();
+    }
+
+    res.status(201).json(await buildWishlistResponse(wishlist, req.user.userId));
+  } catch (error) {
+    console.error('Error adding to wishlist:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error adding to wishlist', error: error.message });
+  }
+};
+
+// Remove an entry from the wishlist
+const removeFromWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOrCreateForUser(req.user.userId);
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Wishlist item not found' });
+
+    item.deleteOne();
+    await wishlist.save();
+    res.json(await buildWishlistResponse(wishlist, req.user.userId));
+  } catch (error) {
+    console.error('Error removing wishlist item:', error);
+    res.status(500).json({ message: 'Error removing wishlist item', error: error.message });
+  }
+};
+
+// Move a wishlist entry into the cart (variant products need a variant chosen)
+const moveToCart = async (req, res) => {
+  try {
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+    }
+
+    const wishlist = await Wishlist.findOrCreateForUser(req.user.userId);
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Wishlist item not found' });
+
+    const variantId = item.variant || req.body.variantId;
+    const cart = await Cart.findOrCreateForUser(req.user.userId);
+    const existing = cart.findItem(item.product, variantId);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+    const { product, purchase, status, message } = await checkProductAvailability(item.product, newQuantity, variantId);
+    if (!product) return res.status(status).json({ message });
+
+    if (existing) {
+      existing.quantity = newQuantity;
+      existing.priceAtAdd = purchase.price;
+    } else {
+      cart.items.push({ product: product._id, variant: variantId, quantity, priceAtAdd: purchase.price });
+    }
+    await cart.save();
+
+    item.deleteOne();
+    await wishlist.save();
+
+    res.json({
+      wishlist: await buildWishlistResponse(wishlist, req.user.userId),
+      cart: await priceCart(cart, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error moving wishlist item to cart:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ message: 'Validation error', error: error.message });
+    res.status(500).json({ message: 'Error moving wishlist item to cart', error: error.message });
+  }
+};
+
+// List the user's open back-in-stock subscriptions
+const getStockSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await StockSubscription.find({ user: req.user.userId, status: { $in: ['active', 'queued'] } })
+      .populate('product', 'name image price stock reserved isActive')
+      .sort({ createdAt: -1 });
+
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Error fetching stock subscriptions:', error);
+    res.status(500).json({ message: 'Error fetching stock subscriptions', error: error.message });
+  }
+};
+
+// Ask to be emailed when an out-of-stock product or variant is restocked
+const subscribeToStock = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const { product, variant, status, message } = await findWishlistProduct(productId, variantId);
+    if (!product) return res.status(status).json({ message });
+
+    const inStock = variant ? variant.getAvailableStock() > 0 : product.isInStock();
+    if (inStock) return res.status(409).json({ message: `${product.name} is already in stock` });
+
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { user: req.user.userId, product: product._id, variant: variant ? variant._id : null, status: 'active' },
+      { $setOnInsert: { user: req.user.userId, product: product._id, variant: variant ? variant._id : null } },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    console.error('Error subscribing to stock alert:', error);
+    if (error.code === 11000) return res.status(409).json({ message: 'You are already subscribed to this product' });
+    res.status(500).json({ message: 'Error subscribing to stock alert', error: error.message });
+  }
+};
+
+// Cancel a back-in-stock subscription
+const unsubscribeFromStock = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid ID format' });
+
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId, status: 'active' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!subscription) return res.status(404).json({ message: 'Subscription not found' });
+
+    res.json({ message: 'Subscription cancelled' });
+  } catch (error) {
+    console.error('Error cancelling stock alert:', error);
+    res.status(500).json({ message: 'Error cancelling stock alert', error: error.message });
+  }
+};
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+  getStockSubscriptions,
+  subscribeToStock,
+  unsubscribeFromStock
+};
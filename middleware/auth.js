@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const { JWT_SECRET, findActiveSession } = require('../services/token.service');
+const { getRolePermissions } = require('../config/permissions');
 
 const auth = async (req, res, next) => {
   try {
@@ -23,7 +25,17 @@ const auth = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Tokens must belong to a live session so logout and revocation take effect immediately
+    if (!decoded.sid) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
+    const session = await findActiveSession(decoded.sid);
+    if (!session || session.user.toString() !== decoded.userId) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -32,12 +44,18 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is valid but user not found' });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
     // Add user to request object
     req.user = {
       userId: user._id,
       email: user.email,
       name: user.name,
-      role: user.role
+      role: user.role,
+      permissions: getRolePermissions(user.role),
+      sessionId: session._id
     };
 
     next();
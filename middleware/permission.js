@@ -0,0 +1,35 @@
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+// Allow the request only if the authenticated user's role grants every listed permission
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length) throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+
+  return (req, res, next) => {
+    try {
+      // Check if user exists (should be set by auth middleware)
+      if (!req.user) {
+        return res.status(401).json({ 
+          message: 'Authentication required' 
+        });
+      }
+
+      if (!hasPermission(req.user, ...permissions)) {
+        return res.status(403).json({ 
+          message: 'Access denied. Insufficient permissions.',
+          required: permissions
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission middleware error:', error);
+      res.status(500).json({ 
+        message: 'Server error in authorization',
+        error: error.message 
+      });
+    }
+  };
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,67 @@
+const { RATE_LIMIT_BUCKETS, RATE_LIMIT_POLICIES } = require('../config/rateLimits');
+const { getRateLimitStore, rateLimitKey } = require('../services/rateLimit');
+
+// What each bucket counts by; requests without a value (e.g. no email in the body) skip that bucket
+const bucketIds = {
+  ip: req => req.ip,
+  account: (req) => {
+    const email = req.body && req.body.email;
+    if (typeof email === 'string' && email.trim()) return email.trim().toLowerCase().slice(0, 254);
+    return req.user ? String(req.user.userId) : null;
+  }
+};
+
+/**
+ * Limit requests by the named policy in config/rateLimits.js. Every bucket of the policy is
+ * counted; the tightest one fills the RateLimit-* headers, and going over any of them answers
+ * 429 with Retry-After. Set RATE_LIMIT_ENABLED=false to switch limiting off.
+ */
+const rateLimit = (policyName) => {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  const buckets = RATE_LIMIT_BUCKETS.filter(bucket => policy[bucket] !== undefined);
+  const windowMs = policy.windowSeconds * 1000;
+  const policyHeader = buckets.map(bucket => `${policy[bucket]};w=${policy.windowSeconds}`).join(', ');
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') return next();
+
+    try {
+      const store = getRateLimitStore();
+      const states = [];
+      for (const bucket of buckets) {
+        const id = bucketIds[bucket](req);
+        if (!id) continue;
+        const { count, resetAt } = await store.increment(rateLimitKey(policyName, bucket, id), windowMs);
+        states.push({
+          limit: policy[bucket],
+          remaining: Math.max(policy[bucket] - count, 0),
+          resetAt,
+          exceeded: count > policy[bucket]
+        });
+      }
+      if (!states.length) return next();
+
+      const tightest = states.sort((a, b) => (b.exceeded - a.exceeded) || (a.remaining - b.remaining))[0];
+      const resetSeconds = Math.max(Math.ceil((new Date(tightest.resetAt) - Date.now()) / 1000), 0);
+
+      res.setHeader('RateLimit-Policy', policyHeader);
+      res.setHeader('RateLimit-Limit', tightest.limit);
+      res.setHeader('RateLimit-Remaining', tightest.remaining);
+      res.setHeader('RateLimit-Reset', resetSeconds);
+
+      if (tightest.exceeded) {
+        res.setHeader('Retry-After', resetSeconds);
+        return res.status(429).json({ message: 'Too many requests, please try again later', retryAfter: resetSeconds });
+      }
+      next();
+    } catch (error) {
+      // An unavailable store must not take the API down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = rateLimit;
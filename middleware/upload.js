@@ -0,0 +1,83 @@
+const multer = require('multer');
+const { ALLOWED_IMAGE_TYPES } = require('../services/imageStorage.service');
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Keep files in memory so their content can be checked and hashed before anything is written
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const MULTER_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each image must be ${MAX_IMAGE_SIZE / (1024 * 1024)} MB or smaller`,
+  LIMIT_FILE_COUNT: `You can upload at most ${MAX_IMAGES_PER_UPLOAD} images at a time`,
+  LIMIT_UNEXPECTED_FILE: `Only ${ALLOWED_IMAGE_TYPES.join(', ')} files may be uploaded in the "images" field`
+};
+
+// Accept up to MAX_IMAGES_PER_UPLOAD files in the "images" field; JSON requests pass through untouched
+const uploadProductImages = (req, res, next) => {
+  imageUpload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: MULTER_ERROR_MESSAGES[error.code] || error.message });
+    }
+
+    console.error('Upload middleware error:', error);
+    res.status(500).json({ message: 'Error processing upload', error: error.message });
+  });
+};
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+// Browsers and spreadsheet apps label CSV files inconsistently
+const IMPORT_FILE_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain', 'application/json'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_FILE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const IMPORT_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Import files must be ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB or smaller`,
+  LIMIT_FILE_COUNT: 'Upload one import file at a time',
+  LIMIT_UNEXPECTED_FILE: 'Upload a single CSV or JSON file in the "file" field'
+};
+
+// Accept one CSV or JSON file in the "file" field; JSON requests pass through untouched
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: IMPORT_ERROR_MESSAGES[error.code] || error.message });
+    }
+
+    console.error('Upload middleware error:', error);
+    res.status(500).json({ message: 'Error processing upload', error: error.message });
+  });
+};
+
+module.exports = {
+  uploadProductImages,
+  uploadImportFile
+};
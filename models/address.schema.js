@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { findState } = require('../config/indianStates');
+
+// Strip spaces, dashes and brackets plus a leading +91 / 91 / 0 so numbers are stored as 10 digits
+const normalizePhone = (value) => (value === undefined || value === null ? value : String(value)
+  .replace(/[\s().-]/g, '')
+  .replace(/^(\+?91|0)(?=\d{10}$)/, ''));
+
+const addressFields = {
+  fullName: {
+    type: String,
+    required: [true, 'Recipient name is required'],
+    trim: true,
+    maxlength: [100, 'Recipient name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    set: normalizePhone,
+    validate: {
+      validator: function (v) {
+        return /^[6-9]\d{9}$/.test(v);
+      },
+      message: 'Please provide a valid 10-digit Indian mobile number'
+    }
+  },
+  line1: {
+    type: String,
+    required: [true, 'Address line 1 is required'],
+    trim: true,
+    maxlength: [200, 'Address line cannot exceed 200 characters']
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address line cannot exceed 200 characters']
+  },
+  landmark: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Landmark cannot exceed 100 characters']
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    maxlength: [100, 'City cannot exceed 100 characters']
+  },
+  // Canonical state name; stateCode is the GST state code derived from it
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true,
+    validate: {
+      validator: function (v) {
+        return Boolean(findState(v));
+      },
+      message: 'Please provide a valid Indian state or union territory'
+    }
+  },
+  stateCode: {
+    type: String
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'PIN code is required'],
+    set: v => (v === undefined || v === null ? v : String(v).replace(/\s/g, '')),
+    validate: {
+      validator: function (v) {
+        return /^[1-9]\d{5}$/.test(v);
+      },
+      message: 'Please provide a valid 6-digit PIN code'
+    }
+  },
+  country: {
+    type: String,
+    enum: {
+      values: ['IN'],
+      message: 'Only addresses in India are supported'
+    },
+    default: 'IN'
+  }
+};
+
+// Resolve the state to its canonical name and GST code before validation
+const resolveState = function (next) {
+  const state = findState(this.state);
+  if (state) {
+    this.state = state.name;
+    this.stateCode = state.code;
+  }
+  next();
+};
+
+// Address book entry on a user
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Label cannot exceed 30 characters']
+  },
+  ...addressFields,
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Copy of an address frozen onto an order, so editing the address book never rewrites past orders
+const addressSnapshotSchema = new mongoose.Schema(addressFields, { _id: false });
+
+addressSchema.pre('validate', resolveState);
+addressSnapshotSchema.pre('validate', resolveState);
+
+// Pick the editable address fields out of a request body
+const pickAddressFields = (body = {}) => {
+  const fields = {};
+  ['label', 'fullName', 'phone', 'line1', 'line2', 'landmark', 'city', 'state', 'postalCode'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// Plain copy of an address suitable for an order snapshot
+const toAddressSnapshot = (address) => {
+  const source = typeof address.toObject === 'function' ? address.toObject() : address;
+  const snapshot = {};
+  Object.keys(addressFields).forEach(key => {
+    if (source[key] !== undefined) snapshot[key] = source[key];
+  });
+  return snapshot;
+};
+
+module.exports = {
+  addressSchema,
+  addressSnapshotSchema,
+  pickAddressFields,
+  toAddressSnapshot
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Everything the audit log records; see services/audit.service.js
+const AUDIT_ACTIONS = [
+  'product.create',
+  'product.update',
+  'product.status',
+  'product.archive',
+  'product.restore',
+  'product.purge',
+  'product.import',
+  'stock.adjust',
+  'user.role',
+  'user.status',
+  'user.unlock',
+  'auth.login',
+  'auth.login_failed',
+  'auth.lockout'
+];
+const AUDIT_TARGET_TYPES = ['Product', 'User'];
+
+// One changed field, with its value before and after the action
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Who did what to which record, from where. Entries are never edited or deleted by the app.
+const auditLogSchema = new mongoose.Schema({
+  // Unset for failed logins to unknown accounts
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied at the time so entries stay readable if the account changes; for failed
+  // logins this is the email that was tried
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: AUDIT_ACTIONS,
+      message: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`
+    }
+  },
+  target: {
+    type: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Product name or user email at the time
+    label: {
+      type: String
+    }
+  },
+  changes: [auditChangeSchema],
+  // Action-specific details, e.g. an import summary or why a login failed
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'changes.field': 1, createdAt: -1 });
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+auditLogSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
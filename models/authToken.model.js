@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TOKEN_TYPES = ['password-reset', 'email-verification'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens mailed to users; only the hash is stored
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TOKEN_TYPES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ user: 1, type: 1 });
+// Let MongoDB remove tokens a day after they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static method to issue a token, invalidating earlier unused tokens of the same type
+authTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+  await this.updateMany({ user: userId, type, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Static method to use up a token; resolves to the token record, or null if invalid, used or expired
+authTokenSchema.statics.consume = function (token, type) {
+  if (typeof token !== 'string' || !token) return Promise.resolve(null);
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Chosen variant for products sold in sizes, colours, etc.
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  },
+  // Price seen by the user when the line was added, used to flag price changes
+  priceAtAdd: {
+    type: Number,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Cart owner is required'],
+    unique: true
+  },
+  items: [cartItemSchema],
+  // Code applied with POST /api/cart/coupon; re-validated whenever the cart is priced
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the user's cart, creating an empty one if needed. A single upsert, so
+// two first requests arriving together share one cart instead of tripping the unique index.
+cartSchema.statics.findOrCreateForUser = function (userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { items: [] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Method to find a line by product and variant id
+cartSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Method to fold guest cart lines ({ productId, variantId, quantity }) into this cart.
+// Quantities for the same product and variant are added together and capped at
+// live stock; unavailable products are skipped and reported back.
+cartSchema.methods.mergeItems = async function (lines) {
+  const Product = mongoose.model('Product');
+  const skipped = [];
+
+  for (const line of lines) {
+    const productId = line && (line.productId || line.product);
+    const variantId = line && (line.variantId || line.variant);
+    const quantity = parseInt(line && line.quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId) || !quantity || quantity < 1 ||
+        (variantId && !mongoose.Types.ObjectId.isValid(variantId))) {
+      skipped.push({ productId: productId || null, message: 'Invalid cart line' });
+      continue;
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      skipped.push({ productId, message: 'Product not available' });
+      continue;
+    }
+
+    const purchase = product.resolvePurchase(variantId);
+    if (purchase.error) {
+      skipped.push({ productId, variantId, message: purchase.error });
+      continue;
+    }
+
+    if (purchase.stock < 1) {
+      skipped.push({ productId, variantId, message: `${product.name} is out of stock` });
+      continue;
+    }
+
+    const existing = this.findItem(product._id, variantId);
+    const desired = (existing ? existing.quantity : 0) + quantity;
+    const capped = Math.min(desired, purchase.stock);
+
+    if (capped < desired) {
+      skipped.push({ productId, variantId, message: `Quantity of ${product.name} reduced to ${capped} (stock limit)` });
+    }
+
+    if (existing) {
+      existing.quantity = capped;
+      existing.priceAtAdd = purchase.price;
+    } else {
+      this.items.push({ product: product._id, variant: variantId, quantity: capped, priceAtAdd: purchase.price });
+    }
+  }
+
+  await this.save();
+  return skipped;
+};
+
+// Method to validate every line against the live product and compute subtotals
+cartSchema.methods.getSummary = async function () {
+  await this.populate('items.product');
+
+  let subtotal = 0;
+  let itemCount = 0;
+  const issues = [];
+
+  const items = this.items.map(item => {
+    const product = item.product;
+    const line = {
+      id: item._id,
+      quantity: item.quantity,
+      addedAt: item.addedAt
+    };
+
+    if (!product || !product._id) {
+      issues.push({ itemId: item._id, message: 'Product no longer exists' });
+      return { ...line, product: null, available: false, subtotal: 0 };
+    }
+
+    line.product = {
+      id: product._id,
+      name: product.name,
+      image: product.image,
+      price: product.price,
+      stock: product.getAvailableStock(),
+      category: product.category,
+      isActive: product.isActive
+    };
+
+    const purchase = product.resolvePurchase(item.variant);
+    if (purchase.error) {
+      issues.push({ itemId: item._id, productId: product._id, message: purchase.error });
+      return { ...line, available: false, subtotal: 0 };
+    }
+
+    if (purchase.variant) {
+      line.variant = {
+        id: purchase.variant._id,
+        sku: purchase.sku,
+        options: purchase.options,
+        image: purchase.image,
+        stock: purchase.stock
+      };
+    }
+    line.unitPrice = purchase.price;
+    line.priceChanged = item.priceAtAdd !== undefined && item.priceAtAdd !== purchase.price;
+
+    if (purchase.stock < item.quantity) {
+      issues.push({
+        itemId: item._id,
+        productId: product._id,
+        message: `Only ${purchase.stock} of ${product.name} left in stock`
+      });
+      return { ...line, available: false, subtotal: 0 };
+    }
+
+    const lineSubtotal = Math.round(purchase.price * item.quantity * 100) / 100;
+    subtotal += lineSubtotal;
+    itemCount += item.quantity;
+
+    return { ...line, available: true, subtotal: lineSubtotal };
+  });
+
+  return {
+    id: this._id,
+    items,
+    itemCount,
+    subtotal: Math.round(subtotal * 100) / 100,
+    couponCode: this.couponCode || null,
+    issues,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { GST_RATES } = require('../config/pricing');
+
+// Categories that used to be a hard-coded enum on Product; created by scripts/migrateCategories.js
+const LEGACY_CATEGORIES = [
+  'electronics',
+  'clothing',
+  'books',
+  'home',
+  'sports',
+  'toys',
+  'beauty',
+  'automotive'
+];
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  // Stored on Product.category, so it must stay stable once products use it
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: function (v) {
+        return /^[a-z0-9]+(-[a-z0-9]+)*$/.test(v);
+      },
+      message: 'Slug may only contain lowercase letters, numbers and single hyphens'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Category description cannot exceed 500 characters']
+  },
+  image: {
+    type: String,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // GST defaults for products in this category and its subcategories that don't set their own
+  hsnCode: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function (v) {
+        return /^\d{4}(\d{2}){0,2}$/.test(v);
+      },
+      message: 'HSN code must be 4, 6 or 8 digits'
+    }
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: `GST rate must be one of: ${GST_RATES.join(', ')}`
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+categorySchema.statics.LEGACY_CATEGORIES = LEGACY_CATEGORIES;
+
+// Static method to turn a display name into a slug
+categorySchema.statics.slugify = function (value) {
+  return String(value)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Static method to expand slugs to themselves plus every descendant category's slug
+categorySchema.statics.expandSlugs = async function (slugs) {
+  const categories = await this.find().select('slug parent').lean();
+  const childrenOf = new Map();
+  categories.forEach(category => {
+    const key = String(category.parent || '');
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(category);
+  });
+
+  const result = new Set(slugs);
+  const queue = categories.filter(category => result.has(category.slug));
+  while (queue.length) {
+    const current = queue.shift();
+    for (const child of childrenOf.get(String(current._id)) || []) {
+      if (!result.has(child.slug)) {
+        result.add(child.slug);
+        queue.push(child);
+      }
+    }
+  }
+  return [...result];
+};
+
+// Static method to check whether `ancestorId` is `categoryId` or one of its ancestors
+categorySchema.statics.isAncestorOf = async function (ancestorId, categoryId) {
+  let currentId = categoryId;
+  const seen = new Set();
+  while (currentId && !seen.has(String(currentId))) {
+    if (String(currentId) === String(ancestorId)) return true;
+    seen.add(String(currentId));
+    const current = await this.findById(currentId).select('parent').lean();
+    currentId = current && current.parent;
+  }
+  return false;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
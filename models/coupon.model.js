@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+
+const couponSchema = new mongoose.Schema({
+  // Codes are matched case-insensitively by storing them upper-cased
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    validate: {
+      validator: function (v) {
+        return /^[A-Z0-9_-]{3,30}$/.test(v);
+      },
+      message: 'Code must be 3-30 letters, numbers, hyphens or underscores'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: {
+      values: COUPON_TYPES,
+      message: `Type must be one of: ${COUPON_TYPES.join(', ')}`
+    }
+  },
+  // Percent off for percentage coupons, rupees off for fixed coupons
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0.01, 'Value must be greater than 0'],
+    validate: {
+      validator: function (v) {
+        return this.type !== 'percentage' || v <= 100;
+      },
+      message: 'Percentage cannot exceed 100'
+    }
+  },
+  // Upper limit on the discount of a percentage coupon
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // Null means unlimited
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum uses must be at least 1']
+  },
+  maxUsesPerUser: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum uses per user must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function (v) {
+        return !v || !this.startsAt || v > this.startsAt;
+      },
+      message: 'Expiry must be after the start date'
+    }
+  },
+  // When either list is non-empty the discount only applies to matching lines.
+  // Category slugs include their subcategories.
+  categories: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+couponSchema.statics.TYPES = COUPON_TYPES;
+
+// Static method to normalise a code as typed by a customer
+couponSchema.statics.normalizeCode = function (code) {
+  return String(code || '').trim().toUpperCase();
+};
+
+// Method to check whether the coupon is restricted to some categories or products
+couponSchema.methods.isRestricted = function () {
+  return this.categories.length > 0 || this.products.length > 0;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
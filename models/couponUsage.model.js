@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// How many times a user has redeemed a coupon. One document per coupon and user;
+// `count` is incremented with a conditional update so per-user limits hold under concurrency.
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }]
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
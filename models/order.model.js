@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const { addressSnapshotSchema } = require('./address.schema');
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Allowed moves out of each status; cancelled and refunded are final
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Snapshot of the product at the time of purchase
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  // Chosen option values, e.g. { size: 'M', colour: 'Blue' }
+  options: {
+    type: Map,
+    of: String
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  image: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Share of the order's coupon discount taken off this line
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // GST for the line after discount, from services/pricing.service.js
+  hsnCode: String,
+  gstRate: Number,
+  taxableValue: Number,
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  total: Number
+}, { _id: false });
+
+// Tax totals for one HSN code and rate, as printed in an invoice's tax summary
+const taxBreakdownSchema = new mongoose.Schema({
+  hsnCode: String,
+  gstRate: Number,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  tax: Number
+}, { _id: false });
+
+const orderTaxSchema = new mongoose.Schema({
+  pricesIncludeTax: Boolean,
+  // CGST + SGST when shipped within the seller's state, IGST otherwise
+  interState: Boolean,
+  sellerState: String,
+  sellerStateCode: String,
+  sellerGstin: String,
+  placeOfSupply: String,
+  placeOfSupplyCode: String,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  total: Number,
+  breakdown: [taxBreakdownSchema]
+}, { _id: false });
+
+const orderShippingSchema = new mongoose.Schema({
+  basis: String,
+  // Total weight in grams
+  weight: Number,
+  charge: { type: Number, default: 0 },
+  gstRate: Number,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  tax: Number,
+  total: Number
+}, { _id: false });
+
+// The coupon applied at checkout, copied so later coupon edits don't change the order
+const orderCouponSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  value: {
+    type: Number
+  }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Order owner is required']
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'Order must contain at least one item'
+    }
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  coupon: orderCouponSchema,
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shipping: orderShippingSchema,
+  tax: orderTaxSchema,
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ORDER_STATUSES,
+      message: `Status must be one of: ${ORDER_STATUSES.join(', ')}`
+    },
+    default: 'pending'
+  },
+  shippingAddress: addressSnapshotSchema,
+  billingAddress: addressSnapshotSchema,
+  statusHistory: [statusHistorySchema],
+  // false while the items are only reserved (unpaid); true once payment turned the reservation
+  // into a real decrement. Orders placed before reservations existed leave it unset.
+  stockDeducted: {
+    type: Boolean
+  },
+  // When the checkout reservation lapses if the order is still unpaid
+  reservationExpiresAt: Date,
+  // Set once the decremented stock has been put back, so it is never restored twice
+  stockRestored: {
+    type: Boolean,
+    default: false
+  },
+  // Set once a cancelled order's coupon use has been given back
+  couponReleased: {
+    type: Boolean,
+    default: false
+  },
+  // Sequential GST invoice number, allocated once when the order is paid and never reused
+  invoiceNumber: String,
+  invoicedAt: Date,
+  // Set while a request is taking the next invoice number for this order
+  invoicingAt: Date,
+  paidAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $exists: true } } });
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Method to check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to check whether the user may view the order
+orderSchema.methods.isOwnedBy = function (userId) {
+  const ownerId = this.user && this.user._id ? this.user._id : this.user;
+  return ownerId.toString() === userId.toString();
+};
+
+module.exports = mongoose.model('Order', orderSchema);
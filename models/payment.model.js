@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// refunding: a refund has been asked of the provider and its answer is not back yet
+const PAYMENT_STATUSES = ['requires_capture', 'succeeded', 'failed', 'refunding', 'refunded'];
+
+const refundSchema = new mongoose.Schema({
+  providerRefundId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  // Intent id issued by the provider
+  providerPaymentId: {
+    type: String,
+    required: [true, 'Provider payment ID is required']
+  },
+  // Amount in rupees, matching Order.total
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PAYMENT_STATUSES,
+      message: `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+    },
+    default: 'requires_capture'
+  },
+  refunds: [refundSchema],
+  capturedAt: Date,
+  failedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ order: 1 });
+
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+// Convert between rupees and the paise amounts providers work in
+paymentSchema.statics.toMinorUnits = function (amount) {
+  return Math.round(amount * 100);
+};
+
+paymentSchema.statics.fromMinorUnits = function (amount) {
+  return amount / 100;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
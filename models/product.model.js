@@ -1,4 +1,106 @@
 const mongoose = require('mongoose');
+const Category = require('./category.model');
+const { GST_RATES } = require('../config/pricing');
+
+const MAX_PRODUCT_IMAGES = 10;
+const DEFAULT_LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD || 5);
+
+// Only published products are shown to customers; archiving replaces deletion
+const PRODUCT_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  // Set for images stored under uploads/; absent for external URLs
+  filename: {
+    type: String
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Image alt text cannot exceed 150 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+});
+
+// An option axis such as size or colour, with its allowed values
+const productOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Option name cannot exceed 30 characters']
+  },
+  values: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: values => values.length > 0 && new Set(values).size === values.length,
+      message: 'Option values must be a non-empty list without duplicates'
+    }
+  }
+}, { _id: false });
+
+// One purchasable combination of option values
+const productVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0.01, 'Price must be greater than 0']
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Variant stock is required'],
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  // Units held by unpaid checkouts; see services/reservation.service.js
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved stock cannot be negative'],
+    default: 0
+  },
+  image: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toJSON: { virtuals: true }
+});
+
+// Virtual for the variant stock customers can still buy
+productVariantSchema.virtual('availableStock').get(function () {
+  return this.getAvailableStock();
+});
+
+// Method to get stock not held by checkout reservations
+productVariantSchema.methods.getAvailableStock = function () {
+  return Math.max(this.stock - (this.reserved || 0), 0);
+};
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -23,27 +125,32 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Product image URL is required'],
     validate: {
       validator: function (v) {
-        return /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)(\?.*)?$/i.test(v);
+        return /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)(\?.*)?$/i.test(v) ||
+          /^\/uploads\/products\/[a-f0-9]{64}\.(jpg|png|gif|webp)$/.test(v);
       },
       message: 'Please provide a valid image URL'
     }
   },
+  images: {
+    type: [productImageSchema],
+    validate: {
+      validator: images => images.length <= MAX_PRODUCT_IMAGES,
+      message: `A product can have at most ${MAX_PRODUCT_IMAGES} images`
+    }
+  },
+  // Slug of an active Category document. Only checked when set or changed, so products left
+  // in a category that was later deactivated can still be edited, archived or moved out.
   category: {
     type: String,
     required: [true, 'Product category is required'],
-    enum: {
-      values: [
-        'electronics',
-        'clothing',
-        'books',
-        'home',
-        'sports',
-        'toys',
-        'beauty',
-        'automotive'
-      ],
-      message:
-        'Category must be one of: electronics, clothing, books, home, sports, toys, beauty, automotive'
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: async function (v) {
+        if (!this.isNew && !this.isModified('category')) return true;
+        return Boolean(await Category.exists({ slug: v, isActive: true }));
+      },
+      message: props => `Category "${props.value}" does not exist`
     }
   },
   brand: {
@@ -62,35 +169,282 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // GST classification; falls back to the category (and its parents) when unset
+  hsnCode: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function (v) {
+        return /^\d{4}(\d{2}){0,2}$/.test(v);
+      },
+      message: 'HSN code must be 4, 6 or 8 digits'
+    }
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: `GST rate must be one of: ${GST_RATES.join(', ')}`
+    }
+  },
+  // Shipping weight in grams, used by weight-based shipping tiers
+  weight: {
+    type: Number,
+    default: 0,
+    min: [0, 'Weight cannot be negative']
+  },
+  // For products with variants this is the total stock of active variants
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  // Units held by unpaid checkouts (total of active variants for variant products)
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved stock cannot be negative'],
+    default: 0
+  },
+  // Stock at or below this counts as low (per variant for variant products); unset uses LOW_STOCK_THRESHOLD
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative']
+  },
+  options: [productOptionSchema],
+  variants: [productVariantSchema],
+  // Lowest and highest price a customer can pay, across variants when there are any
+  priceRange: {
+    min: Number,
+    max: Number
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PRODUCT_STATUSES,
+      message: `Status must be one of: ${PRODUCT_STATUSES.join(', ')}`
+    },
+    default: 'published'
+  },
+  // When a scheduled product goes live; see services/productLifecycle.service.js
+  publishAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Customer visibility, kept in step with `status` (true only when published)
   isActive: {
     type: Boolean,
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
 });
 
-// Index for better search performance
-productSchema.index({ name: 'text', description: 'text', category: 'text', brand: 'text' });
+// Weighted text index for relevance search (name ranks above brand, category and description).
+// Replaces the earlier unweighted text index: run Product.syncIndexes() once to swap it.
+productSchema.index(
+  { name: 'text', brand: 'text', category: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, brand: 5, category: 3, description: 1 } }
+);
 productSchema.index({ category: 1 });
 productSchema.index({ brand: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ rating: -1 });
+productSchema.index({ isActive: 1, category: 1, price: 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+// SKUs are unique across the catalog; products without variants are left out of the index
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 // Virtual for formatted price
 productSchema.virtual('formattedPrice').get(function () {
   return `₹${this.price.toFixed(2)}`;
 });
 
-// Method to check if product is in stock
+// Virtual for overall availability across variants
+productSchema.virtual('inStock').get(function () {
+  return this.isInStock();
+});
+
+// Virtual for the stock customers can still buy: stock minus active checkout reservations
+productSchema.virtual('availableStock').get(function () {
+  return this.getAvailableStock();
+});
+
+// Check variants against the option axes, roll variant stock up into `stock` for new
+// products and record the price range shown in listings. Saved products never have `stock`
+// or `reserved` written from the document: sales and checkouts change them with $inc, and a
+// save would put back whatever the document held when it was loaded (see replaceVariants
+// in services/inventory.service.js for variant edits).
+productSchema.pre('validate', function (next) {
+  const variants = this.variants || [];
+
+  if (variants.length === 0) {
+    this.priceRange = { min: this.price, max: this.price };
+    return next();
+  }
+
+  const axes = (this.options || []).map(option => option.name);
+  const seenSkus = new Set();
+  const seenCombinations = new Set();
+
+  for (const variant of variants) {
+    const keys = [...variant.options.keys()];
+    const validAxes = keys.length === axes.length && axes.every(axis => {
+      const option = this.options.find(o => o.name === axis);
+      return option.values.includes(variant.options.get(axis));
+    });
+    if (!validAxes) {
+      this.invalidate('variants', `Variant ${variant.sku} must pick one allowed value for each option: ${axes.join(', ')}`);
+      continue;
+    }
+
+    const combination = axes.map(axis => variant.options.get(axis)).join('|');
+    if (seenCombinations.has(combination)) {
+      this.invalidate('variants', `More than one variant has options ${combination}`);
+    }
+    if (seenSkus.has(variant.sku)) {
+      this.invalidate('variants', `Duplicate variant SKU ${variant.sku}`);
+    }
+    seenCombinations.add(combination);
+    seenSkus.add(variant.sku);
+  }
+
+  const active = variants.filter(variant => variant.isActive);
+  const prices = (active.length ? active : variants).map(variant => variant.price || this.price);
+  if (this.isNew) this.stock = active.reduce((sum, variant) => sum + variant.stock, 0);
+  this.priceRange = { min: Math.min(...prices), max: Math.max(...prices) };
+  next();
+});
+
+// Keep images ordered with exactly one primary, and mirror the primary into `image`
+// so clients that only read the single image field keep working
+productSchema.pre('validate', function (next) {
+  if (!this.images || this.images.length === 0) return next();
+
+  this.images.sort((a, b) => a.sortOrder - b.sortOrder);
+  this.images.forEach((image, index) => { image.sortOrder = index; });
+
+  const primaries = this.images.filter(image => image.isPrimary);
+  const primary = primaries[0] || this.images[0];
+  this.images.forEach(image => { image.isPrimary = image === primary; });
+
+  this.image = primary.url;
+  next();
+});
+
+// Keep the lifecycle fields consistent with `status`. A schedule whose time has already
+// passed publishes straight away. Products saved before statuses existed are left alone
+// until their status is changed (scripts/migrateProductStatus.js backfills them).
+productSchema.pre('validate', function (next) {
+  if (!this.isNew && !this.isModified('status') && !this.isModified('publishAt')) return next();
+
+  if (this.status === 'scheduled') {
+    if (!this.publishAt) {
+      this.invalidate('publishAt', 'A publish date is required to schedule a product');
+      return next();
+    }
+    if (this.publishAt <= new Date()) this.status = 'published';
+  }
+  if (this.status !== 'scheduled') this.publishAt = undefined;
+  if (this.status === 'published' && !this.publishedAt) this.publishedAt = new Date();
+  if (this.status === 'archived') {
+    if (!this.archivedAt) this.archivedAt = new Date();
+  } else {
+    this.archivedAt = undefined;
+    this.archivedBy = undefined;
+  }
+
+  this.isActive = this.status === 'published';
+  next();
+});
+
+productSchema.statics.STATUSES = PRODUCT_STATUSES;
+productSchema.statics.MAX_IMAGES = MAX_PRODUCT_IMAGES;
+productSchema.statics.DEFAULT_LOW_STOCK_THRESHOLD = DEFAULT_LOW_STOCK_THRESHOLD;
+
+// Method to add images after the existing ones. An existing external `image`
+// URL is kept as the first gallery entry so it is not lost.
+productSchema.methods.addImages = function (newImages) {
+  if (this.images.length === 0 && this.image) {
+    this.images.push({ url: this.image, isPrimary: true, sortOrder: 0 });
+  }
+
+  const nextOrder = this.images.length;
+  newImages.forEach((image, index) => {
+    this.images.push({ ...image, isPrimary: false, sortOrder: nextOrder + index });
+  });
+};
+
+// Method to make the given gallery image primary
+productSchema.methods.setPrimaryImage = function (imageId) {
+  const target = this.images.id(imageId);
+  if (!target) return false;
+  this.images.forEach(image => { image.isPrimary = image._id.equals(target._id); });
+  return true;
+};
+
+// Method to get stock not held by checkout reservations
+productSchema.methods.getAvailableStock = function () {
+  return Math.max(this.stock - (this.reserved || 0), 0);
+};
+
+// Method to check if product is in stock (reserved units don't count)
 productSchema.methods.isInStock = function () {
-  return this.stock > 0;
+  return this.getAvailableStock() > 0;
+};
+
+// Method to get the low-stock threshold that applies to this product
+productSchema.methods.getLowStockThreshold = function () {
+  return this.lowStockThreshold !== undefined && this.lowStockThreshold !== null
+    ? this.lowStockThreshold
+    : DEFAULT_LOW_STOCK_THRESHOLD;
+};
+
+// Method to check whether the product is sold as variants
+productSchema.methods.hasVariants = function () {
+  return Boolean(this.variants && this.variants.length);
+};
+
+/**
+ * Resolve what a customer would buy for an optional variant id: the effective
+ * price, available stock, image and SKU. Returns { error } when the product or variant
+ * cannot be bought, e.g. a variant product requested without a variant.
+ */
+productSchema.methods.resolvePurchase = function (variantId) {
+  if (!this.isActive) return { error: `${this.name} is no longer available` };
+
+  if (!this.hasVariants()) {
+    if (variantId) return { error: `${this.name} has no variants` };
+    return { variant: null, price: this.price, stock: this.getAvailableStock(), image: this.image };
+  }
+
+  if (!variantId) return { error: `Please choose ${this.options.map(o => o.name).join(' and ')} for ${this.name}` };
+
+  const variant = this.variants.id(variantId);
+  if (!variant || !variant.isActive) return { error: `Selected option of ${this.name} is no longer available` };
+
+  return {
+    variant,
+    sku: variant.sku,
+    options: Object.fromEntries(variant.options),
+    price: variant.price || this.price,
+    stock: variant.getAvailableStock(),
+    image: variant.image || this.image
+  };
 };
 
 // Static method to find products by category
@@ -98,21 +452,12 @@ productSchema.statics.findByCategory = function (category) {
   return this.find({ category, isActive: true }).sort({ createdAt: -1 });
 };
 
-// Static method to search products
+// Static method to search products by relevance
 productSchema.statics.searchProducts = function (query) {
-  return this.find({
-    $and: [
-      { isActive: true },
-      {
-        $or: [
-          { name: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } },
-          { category: { $regex: query, $options: 'i' } },
-          { brand: { $regex: query, $options: 'i' } }
-        ]
-      }
-    ]
-  }).sort({ createdAt: -1 });
+  return this.find(
+    { isActive: true, $text: { $search: String(query) } },
+    { score: { $meta: 'textScore' } }
+  ).sort({ score: { $meta: 'textScore' } });
 };
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['approved', 'hidden'];
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REVIEW_STATUSES,
+      message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}`
+    },
+    default: 'approved'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot exceed 500 characters']
+  },
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1 });
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+// Static method to recompute Product.rating/ratingCount from approved reviews
+reviewSchema.statics.recalculateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const ratingCount = stats ? stats.count : 0;
+
+  await mongoose.model('Product').updateOne({ _id: productId }, { rating, ratingCount });
+  return { rating, ratingCount };
+};
+
+// Hide voter ids from API responses
+reviewSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.helpfulVotes;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One record per signed-in device. The refresh token rotates on every use;
+// earlier tokens are remembered so a replayed one can be recognised.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the refresh token currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens already rotated out of this session (the token family)
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'token-reuse', 'revoked-by-user', 'revoked-by-admin', 'password-change']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Method to check the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+sessionSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.tokenHash;
+    delete ret.previousTokenHashes;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
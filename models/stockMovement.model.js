@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_REASONS = ['sale', 'cancellation', 'restock', 'adjustment', 'return'];
+
+// One entry per stock change, written by services/inventory.service.js. Entries are never
+// edited; a correction is a new movement.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Set when the change was to one variant's stock
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: {
+      values: MOVEMENT_REASONS,
+      message: `Reason must be one of: ${MOVEMENT_REASONS.join(', ')}`
+    }
+  },
+  // Signed change: negative when stock went down
+  quantity: {
+    type: Number,
+    required: true
+  },
+  before: {
+    type: Number,
+    required: true
+  },
+  after: {
+    type: Number,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+
+stockMovementSchema.statics.REASONS = MOVEMENT_REASONS;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const RESERVATION_STATUSES = ['active', 'released', 'converted'];
+
+// Stock held for one line of an unpaid order. While active, its quantity is counted in the
+// product's (and variant's) `reserved`; see services/reservation.service.js.
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: RESERVATION_STATUSES,
+      message: `Status must be one of: ${RESERVATION_STATUSES.join(', ')}`
+    },
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  // Why the hold ended without a sale: expired, cancelled, order-failed, ...
+  releaseReason: {
+    type: String
+  },
+  releasedAt: Date,
+  convertedAt: Date
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ order: 1, status: 1 });
+
+stockReservationSchema.statics.STATUSES = RESERVATION_STATUSES;
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const SUBSCRIPTION_STATUSES = ['active', 'queued', 'notified', 'cancelled'];
+
+// A customer's request to be emailed when a product (or one variant) is back in stock.
+// active -> queued when stock returns, queued -> notified once the email is sent.
+const stockSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Subscriber is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: {
+      values: SUBSCRIPTION_STATUSES,
+      message: `Status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`
+    },
+    default: 'active'
+  },
+  queuedAt: Date,
+  notifiedAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// One open subscription per user, product and variant
+stockSubscriptionSchema.index(
+  { user: 1, product: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+stockSubscriptionSchema.index({ product: 1, status: 1 });
+
+stockSubscriptionSchema.statics.STATUSES = SUBSCRIPTION_STATUSES;
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+const { addressSchema } = require('./address.schema');
+
+const MAX_ADDRESSES = 20;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,11 +31,12 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // 'user' is a plain customer; staff roles map to permissions in config/permissions.js
   role: {
     type: String,
     enum: {
-      values: ['user', 'admin'],
-      message: 'Role must be either user or admin'
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
     },
     default: 'user'
   },
@@ -39,8 +44,51 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when staff deactivate the account; cleared on reactivation
+  deactivatedAt: {
+    type: Date
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deactivationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deactivation reason cannot exceed 500 characters']
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
+  },
+  // Brute-force protection; see services/loginLockout.service.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Lockouts since the last successful login; each one lasts twice as long as the one before
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  addresses: {
+    type: [addressSchema],
+    validate: {
+      validator: addresses => addresses.length <= MAX_ADDRESSES,
+      message: `You can save at most ${MAX_ADDRESSES} addresses`
+    }
   }
 }, {
   timestamps: true
@@ -49,6 +97,17 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ isActive: 1, createdAt: -1 });
+
+// Keep exactly one default shipping and one default billing address while any exist
+userSchema.pre('validate', function(next) {
+  ['isDefaultShipping', 'isDefaultBilling'].forEach(flag => {
+    const defaults = this.addresses.filter(address => address[flag]);
+    defaults.slice(1).forEach(address => { address[flag] = false; });
+    if (defaults.length === 0 && this.addresses.length > 0) this.addresses[0][flag] = true;
+  });
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -59,6 +118,7 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -74,17 +134,30 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Instance method to check whether failed logins have locked the account for now
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
   return this.save();
 };
 
+// Instance method to get the default 'shipping' or 'billing' address
+userSchema.methods.getDefaultAddress = function(type) {
+  const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  return this.addresses.find(address => address[flag]) || null;
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true }).select('-password');
 };
 
+userSchema.statics.MAX_ADDRESSES = MAX_ADDRESSES;
+
 // Static method to find users by role
 userSchema.statics.findByRole = function(role) {
   return this.find({ role, isActive: true }).select('-password');
@@ -98,6 +171,7 @@ userSchema.virtual('profile').get(function() {
     email: this.email,
     role: this.role,
     isActive: this.isActive,
+    emailVerified: this.emailVerified,
     createdAt: this.createdAt,
     lastLogin: this.lastLogin
   };
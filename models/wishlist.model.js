@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Optional: a specific size/colour the customer is interested in
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Wishlist owner is required'],
+    unique: true
+  },
+  items: {
+    type: [wishlistItemSchema],
+    validate: {
+      validator: items => items.length <= 200,
+      message: 'A wishlist can hold at most 200 items'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the user's wishlist, creating an empty one if needed
+wishlistSchema.statics.findOrCreateForUser = async function (userId) {
+  const wishlist = await this.findOne({ user: userId });
+  if (wishlist) return wishlist;
+  return this.create({ user: userId, items: [] });
+};
+
+// Method to find an entry by product and variant id
+wishlistSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Method to list entries with the product's current price and stock
+wishlistSchema.methods.getSummary = async function () {
+  await this.populate('items.product');
+
+  const items = this.items.map(item => {
+    const product = item.product;
+    const line = { id: item._id, addedAt: item.addedAt };
+
+    if (!product || !product._id || !product.isActive) {
+      return { ...line, product: null, available: false, inStock: false };
+    }
+
+    line.product = {
+      id: product._id,
+      name: product.name,
+      image: product.image,
+      price: product.price,
+      priceRange: product.priceRange,
+      stock: product.getAvailableStock()
+    };
+
+    if (!item.variant) {
+      return { ...line, available: true, price: product.price, stock: product.getAvailableStock(), inStock: product.isInStock() };
+    }
+
+    const variant = product.variants.id(item.variant);
+    if (!variant || !variant.isActive) {
+      return { ...line, available: false, inStock: false };
+    }
+
+    line.variant = {
+      id: variant._id,
+      sku: variant.sku,
+      options: Object.fromEntries(variant.options),
+      image: variant.image || product.image
+    };
+    const price = variant.price || product.price;
+    const stock = variant.getAvailableStock();
+    return { ...line, available: true, price, stock, inStock: stock > 0 };
+  });
+
+  return {
+    id: this._id,
+    items,
+    itemCount: items.length,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
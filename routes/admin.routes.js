@@ -0,0 +1,95 @@
+// routes/admin.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  updateUserRole,
+  getUsers,
+  getUserById,
+  updateUserStatus,
+  forceLogoutUser,
+  unlockUser
+} = require('../controllers/usersController');
+const {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponsController');
+const {
+  adjustStock,
+  getStockMovements,
+  getLowStockReport
+} = require('../controllers/inventoryController');
+const {
+  getSalesReport,
+  getTopProductsReport,
+  getTopCategoriesReport,
+  getCustomersReport,
+  getInventoryValueReport,
+  getLowRatedReport
+} = require('../controllers/analyticsController');
+const { getAuditLogs } = require('../controllers/auditController');
+const {
+  importProducts,
+  exportProducts,
+  getAdminProducts,
+  getAdminProductById,
+  updateProductStatus,
+  restoreProduct,
+  purgeProduct
+} = require('../controllers/productsController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { uploadImportFile } = require('../middleware/upload');
+
+// All admin routes require authentication
+router.use(auth);
+
+// User management
+router.get('/users', requirePermission('users:read'), getUsers);
+router.get('/users/:id', requirePermission('users:read'), getUserById);
+router.patch('/users/:id/status', requirePermission('users:write'), updateUserStatus);
+router.post('/users/:id/logout', requirePermission('users:write'), forceLogoutUser);
+router.post('/users/:id/unlock', requirePermission('users:write'), unlockUser);
+
+// Role management
+router.get('/roles', requirePermission('roles:assign'), getRoles);
+router.patch('/users/:id/role', requirePermission('roles:assign'), updateUserRole);
+
+// Coupons
+router.get('/coupons', requirePermission('coupons:read'), getCoupons);
+router.get('/coupons/:id', requirePermission('coupons:read'), getCouponById);
+router.post('/coupons', requirePermission('coupons:write'), createCoupon);
+router.put('/coupons/:id', requirePermission('coupons:write'), updateCoupon);
+router.delete('/coupons/:id', requirePermission('coupons:write'), deleteCoupon);
+
+// Catalog import/export
+router.post('/products/import', requirePermission('products:write'), uploadImportFile, importProducts);
+router.get('/products/export', requirePermission('products:write'), exportProducts);
+
+// Catalog lifecycle: drafts, scheduled launches and archived products
+router.get('/products', requirePermission('products:write'), getAdminProducts);
+router.get('/products/:id', requirePermission('products:write'), getAdminProductById);
+router.patch('/products/:id/status', requirePermission('products:write'), updateProductStatus);
+router.post('/products/:id/restore', requirePermission('products:write'), restoreProduct);
+router.delete('/products/:id/purge', requirePermission('products:write'), purgeProduct);
+
+// Inventory
+router.get('/inventory/low-stock', requirePermission('inventory:read'), getLowStockReport);
+router.get('/inventory/:productId/movements', requirePermission('inventory:read'), getStockMovements);
+router.post('/inventory/:productId/adjust', requirePermission('inventory:write'), adjustStock);
+
+// Analytics (?format=csv for a download)
+router.get('/analytics/sales', requirePermission('analytics:read'), getSalesReport);
+router.get('/analytics/top-products', requirePermission('analytics:read'), getTopProductsReport);
+router.get('/analytics/top-categories', requirePermission('analytics:read'), getTopCategoriesReport);
+router.get('/analytics/customers', requirePermission('analytics:read'), getCustomersReport);
+router.get('/analytics/inventory-value', requirePermission('analytics:read'), getInventoryValueReport);
+router.get('/analytics/low-rated', requirePermission('analytics:read'), getLowRatedReport);
+
+// Audit log
+router.get('/audit-logs', requirePermission('audit:read'), getAuditLogs);
+
+module.exports = router;
@@ -4,16 +4,52 @@ const {
   registerUser,
   loginUser,
   getUserProfile,
-  updateUserProfile
+  updateUserProfile,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  revokeUserSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword
 } = require('../controllers/authController');
+const {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+} = require('../controllers/addressesController');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
 
 // Public routes
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+router.post('/register', rateLimit('register'), registerUser);
+router.post('/login', rateLimit('login'), loginUser);
+router.post('/refresh', rateLimit('refresh'), refreshToken);
+router.post('/forgot-password', rateLimit('password-reset'), forgotPassword);
+router.post('/reset-password', rateLimit('password-reset'), resetPassword);
+router.post('/verify-email', rateLimit('email-verification'), verifyEmail);
+router.post('/resend-verification', rateLimit('email-verification'), resendVerification);
 
 // Protected routes
 router.get('/profile', auth, getUserProfile);
 router.put('/profile', auth, updateUserProfile);
+router.post('/change-password', auth, changePassword);
+
+router.post('/logout', auth, logoutUser);
+router.post('/logout-all', auth, logoutAllSessions);
+router.get('/sessions', auth, getUserSessions);
+router.delete('/sessions/:id', auth, revokeUserSession);
+
+// Address book
+router.get('/profile/addresses', auth, getAddresses);
+router.post('/profile/addresses', auth, addAddress);
+router.put('/profile/addresses/:addressId', auth, updateAddress);
+router.patch('/profile/addresses/:addressId/default', auth, setDefaultAddress);
+router.delete('/profile/addresses/:addressId', auth, deleteAddress);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+// routes/cart.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  applyCoupon,
+  removeCoupon
+} = require('../controllers/cartController');
+const auth = require('../middleware/auth');
+
+// All cart routes require authentication
+router.use(auth);
+
+router.get('/', getCart);
+router.post('/items', addToCart);
+router.post('/merge', mergeCart);
+router.patch('/items/:itemId', updateCartItem);
+router.delete('/items/:itemId', removeCartItem);
+router.delete('/', clearCart);
+router.post('/coupon', applyCoupon);
+router.delete('/coupon', removeCoupon);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// routes/categories.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoriesController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Public routes (no authentication required)
+router.get('/', getCategoryTree);
+router.get('/:slug', getCategoryBySlug);
+
+// Protected routes (catalog staff)
+router.post('/', auth, requirePermission('categories:write'), createCategory);
+router.put('/:id', auth, requirePermission('categories:write'), updateCategory);
+router.delete('/:id', auth, requirePermission('categories:write'), deleteCategory);
+
+module.exports = router;
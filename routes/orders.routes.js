@@ -0,0 +1,27 @@
+// routes/orders.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  createOrder,
+  getMyOrders,
+  getOrderById,
+  cancelOrder,
+  getAllOrders,
+  updateOrderStatus,
+  getOrderInvoice
+} = require('../controllers/ordersController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Customer routes (authentication required)
+router.post('/', auth, createOrder);
+router.get('/my', auth, getMyOrders);
+router.get('/:id', auth, getOrderById);
+router.get('/:id/invoice', auth, getOrderInvoice);
+router.patch('/:id/cancel', auth, cancelOrder);
+
+// Protected routes (order staff)
+router.get('/', auth, requirePermission('orders:read'), getAllOrders);
+router.patch('/:id/status', auth, requirePermission('orders:write'), updateOrderStatus);
+
+module.exports = router;
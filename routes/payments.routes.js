@@ -0,0 +1,21 @@
+// routes/payments.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  createPaymentIntent,
+  capturePayment,
+  refundPayment
+} = require('../controllers/paymentsController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// The webhook route is mounted in server.js before express.json, as it needs the raw body
+
+// Customer routes (authentication required)
+router.post('/intent', auth, createPaymentIntent);
+router.post('/:id/capture', auth, capturePayment);
+
+// Protected routes (refund permission)
+router.post('/:id/refund', auth, requirePermission('orders:refund'), refundPayment);
+
+module.exports = router;
@@ -7,25 +7,36 @@ const {
   createProduct,
   updateProduct,
   deleteProduct,
+  addProductImages,
+  updateProductImages,
+  deleteProductImage,
   getProductsByCategory,
   searchProducts,
-  updateProductRating
+  suggestProducts
 } = require('../controllers/productsController');
+const { getProductReviews, createReview } = require('../controllers/reviewsController');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const requirePermission = require('../middleware/permission');
+const rateLimit = require('../middleware/rateLimit');
+const { uploadProductImages } = require('../middleware/upload');
 
 // Public routes (no authentication required)
 router.get('/', getAllProducts);
-router.get('/search', searchProducts);
+router.get('/search', rateLimit('search'), searchProducts);
+router.get('/suggest', rateLimit('suggest'), suggestProducts);
 router.get('/category/:category', getProductsByCategory);
 router.get('/:id', getProductById);
+router.get('/:id/reviews', getProductReviews);
 
-// Protected routes (admin only)
-router.post('/', auth, admin, createProduct);
-router.put('/:id', auth, admin, updateProduct);
-router.delete('/:id', auth, admin, deleteProduct);
+// Protected routes (catalog staff)
+router.post('/', auth, requirePermission('products:write'), uploadProductImages, createProduct);
+router.put('/:id', auth, requirePermission('products:write'), updateProduct);
+router.delete('/:id', auth, requirePermission('products:write'), deleteProduct);
+router.post('/:id/images', auth, requirePermission('products:write'), uploadProductImages, addProductImages);
+router.patch('/:id/images', auth, requirePermission('products:write'), updateProductImages);
+router.delete('/:id/images/:imageId', auth, requirePermission('products:write'), deleteProductImage);
 
-// Rating route (requires auth but not admin)
-router.patch('/:id/rating', auth, updateProductRating);
+// Review route (requires auth but not admin)
+router.post('/:id/reviews', auth, createReview);
 
 module.exports = router;
\ No newline at end of file
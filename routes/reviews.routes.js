@@ -0,0 +1,29 @@
+// routes/reviews.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  updateReview,
+  deleteReview,
+  markReviewHelpful,
+  unmarkReviewHelpful,
+  getReviewsForModeration,
+  moderateReview
+} = require('../controllers/reviewsController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Listing and creating reviews live under /api/products/:id/reviews
+
+// Review owner routes (authentication required)
+router.put('/:id', auth, updateReview);
+router.delete('/:id', auth, deleteReview);
+
+// Helpful votes (authentication required)
+router.post('/:id/helpful', auth, markReviewHelpful);
+router.delete('/:id/helpful', auth, unmarkReviewHelpful);
+
+// Moderation routes (moderators)
+router.get('/', auth, requirePermission('reviews:moderate'), getReviewsForModeration);
+router.patch('/:id/moderation', auth, requirePermission('reviews:moderate'), moderateReview);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/wishlist.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+  getStockSubscriptions,
+  subscribeToStock,
+  unsubscribeFromStock
+} = require('../controllers/wishlistController');
+const auth = require('../middleware/auth');
+
+// All wishlist routes require authentication
+router.use(auth);
+
+router.get('/', getWishlist);
+router.post('/items', addToWishlist);
+router.delete('/items/:itemId', removeFromWishlist);
+router.post('/items/:itemId/move-to-cart', moveToCart);
+
+// Back-in-stock alerts
+router.get('/stock-alerts', getStockSubscriptions);
+router.post('/stock-alerts', subscribeToStock);
+router.delete('/stock-alerts/:id', unsubscribeFromStock);
+
+module.exports = router;
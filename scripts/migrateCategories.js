@@ -0,0 +1,64 @@
+// scripts/migrateCategories.js
+// Creates Category documents for the categories products already use (the old
+// hard-coded enum values plus anything else found in the collection) and
+// normalises Product.category to the matching slug. Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Category = require('../models/category.model');
+const Product = require('../models/product.model');
+
+dotenv.config();
+
+const toDisplayName = (slug) => slug
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const migrateCategories = async () => {
+  const existing = await Product.distinct('category');
+  const slugs = new Set(Category.LEGACY_CATEGORIES);
+  let renamed = 0;
+
+  for (const value of existing) {
+    const slug = Category.slugify(value);
+    if (!slug) continue;
+    slugs.add(slug);
+
+    if (slug !== value) {
+      const result = await Product.updateMany({ category: value }, { $set: { category: slug } });
+      renamed += result.modifiedCount;
+    }
+  }
+
+  let created = 0;
+  let sortOrder = 0;
+  for (const slug of slugs) {
+    const result = await Category.updateOne(
+      { slug },
+      { $setOnInsert: { slug, name: toDisplayName(slug), sortOrder: sortOrder++, parent: null, isActive: true } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+
+  return { created, renamed, total: slugs.size };
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/ecommerce';
+  try {
+    await mongoose.connect(mongoURI);
+    const { created, renamed, total } = await migrateCategories();
+    console.log(`✅ Categories migrated: ${created} created, ${total - created} already present, ${renamed} product(s) updated`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Category migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+if (require.main === module) run();
+
+module.exports = migrateCategories;
@@ -0,0 +1,43 @@
+// scripts/migrateProductStatus.js
+// Gives products saved before publishing statuses existed a `status` matching their
+// old isActive flag: active products become published (as of their creation date),
+// hidden ones become drafts. Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Product = require('../models/product.model');
+
+dotenv.config();
+
+const migrateProductStatus = async () => {
+  const missing = { status: { $exists: false } };
+
+  const published = await Product.updateMany(
+    { ...missing, isActive: { $ne: false } },
+    [{ $set: { status: 'published', isActive: true, publishedAt: { $ifNull: ['$publishedAt', '$createdAt'] } } }]
+  );
+  const drafts = await Product.updateMany(
+    { ...missing, isActive: false },
+    { $set: { status: 'draft' } }
+  );
+
+  return { published: published.modifiedCount, drafts: drafts.modifiedCount };
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/ecommerce';
+  try {
+    await mongoose.connect(mongoURI);
+    const { published, drafts } = await migrateProductStatus();
+    console.log(`✅ Product statuses migrated: ${published} published, ${drafts} draft`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Product status migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+if (require.main === module) run();
+
+module.exports = migrateProductStatus;
@@ -10,10 +10,33 @@ dotenv.config();
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const productsRoutes = require('./routes/products.routes');
+const categoriesRoutes = require('./routes/categories.routes');
+const cartRoutes = require('./routes/cart.routes');
+const wishlistRoutes = require('./routes/wishlist.routes');
+const ordersRoutes = require('./routes/orders.routes');
+const paymentsRoutes = require('./routes/payments.routes');
+const reviewsRoutes = require('./routes/reviews.routes');
+const adminRoutes = require('./routes/admin.routes');
+const { handleWebhook } = require('./controllers/paymentsController');
+const { startReservationSweeper } = require('./services/reservation.service');
+const { startPublishingScheduler } = require('./services/productLifecycle.service');
+const { assertMailerConfigured } = require('./services/mailer');
+const { assertPaymentsConfigured } = require('./services/payments');
+const { startNotificationRecovery } = require('./services/notification.service');
 
 // Create Express app
 const app = express();
 
+// Behind a load balancer, TRUST_PROXY (e.g. 1 for one proxy hop) makes req.ip the client's
+// address so rate limits and audit entries don't all count the proxy
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  let trustProxy = TRUST_PROXY; // e.g. 'loopback' or a list of subnets
+  if (TRUST_PROXY === 'true') trustProxy = true;
+  else if (/^\d+$/.test(TRUST_PROXY)) trustProxy = Number(TRUST_PROXY);
+  app.set('trust proxy', trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:4200', 'https://angecommerce.netlify.app'], 
@@ -21,6 +44,14 @@ app.use(cors({
   methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
+
+// Payment webhooks are verified against the raw body, so they must be registered before express.json
+app.post(
+  ['/api/payments/webhook', '/api/payments/webhook/:provider'],
+  express.raw({ type: '*/*', limit: '1mb' }),
+  handleWebhook
+);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -30,6 +61,13 @@ app.use('/uploads', express.static('uploads'));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/orders', ordersRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/reviews', reviewsRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
@@ -124,15 +162,29 @@ const PORT = process.env.PORT || 8082;
 
 const startServer = async () => {
   try {
+    assertMailerConfigured();
+    assertPaymentsConfigured();
     await connectDB();
+    // Release checkout stock reservations that were never paid for
+    startReservationSweeper();
+    startPublishingScheduler();
+    // Send back-in-stock emails that were queued before a restart
+    startNotificationRecovery();
     app.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
       console.log(`🌐 Local: http://localhost:${PORT}`);
       console.log(`📡 API Base: http://localhost:${PORT}/api`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/`);
       console.log('📋 Available Endpoints:');
-      console.log('   🔐 Auth: /api/auth (POST /register, POST /login, GET /profile)');
-      console.log('   📦 Products: /api/products (GET, POST, PUT, DELETE)');
+      console.log('   🔐 Auth: /api/auth (POST /register, POST /login, POST /refresh, POST /logout, POST /logout-all, GET /sessions, GET /profile, POST /forgot-password, POST /reset-password, POST /verify-email, POST /change-password, /profile/addresses CRUD)');
+      console.log('   📦 Products: /api/products (GET, POST, PUT, DELETE archives)');
+      console.log('   🗂️ Categories: /api/categories (GET tree, GET /:slug, admin: POST, PUT, DELETE)');
+      console.log('   🛒 Cart: /api/cart (GET, POST /items, PATCH/DELETE /items/:itemId, POST /merge, DELETE, POST/DELETE /coupon)');
+      console.log('   💝 Wishlist: /api/wishlist (GET, POST /items, DELETE /items/:itemId, POST /items/:itemId/move-to-cart, GET/POST /stock-alerts, DELETE /stock-alerts/:id)');
+      console.log('   🧾 Orders: /api/orders (POST, GET /my, GET /:id, GET /:id/invoice, PATCH /:id/cancel, admin: GET, PATCH /:id/status)');
+      console.log('   💳 Payments: /api/payments (POST /intent, POST /:id/capture, POST /webhook, admin: POST /:id/refund)');
+      console.log('   ⭐ Reviews: /api/products/:id/reviews (GET, POST), /api/reviews (PUT/DELETE /:id, POST/DELETE /:id/helpful, admin: GET, PATCH /:id/moderation)');
+      console.log('   🛡️ Admin: /api/admin (GET /roles, GET /users, GET /users/:id, PATCH /users/:id/status, POST /users/:id/logout, POST /users/:id/unlock, PATCH /users/:id/role, /coupons CRUD, POST /products/import, GET /products/export, GET /products, GET /products/:id, PATCH /products/:id/status, POST /products/:id/restore, DELETE /products/:id/purge, GET /inventory/low-stock, GET /inventory/:productId/movements, POST /inventory/:productId/adjust, GET /analytics/sales, /analytics/top-products, /analytics/top-categories, /analytics/customers, /analytics/inventory-value, /analytics/low-rated, GET /audit-logs)');
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -0,0 +1,331 @@
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const createHttpError = require('../utils/httpError');
+
+// Reports bucket and read dates in Indian time, like invoices
+const REPORT_TIMEZONE = 'Asia/Kolkata';
+const REPORT_UTC_OFFSET = '+05:30';
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+// Orders that count as sales; pending, cancelled and refunded orders are left out
+const SALE_STATUSES = ['paid', 'shipped', 'delivered'];
+
+// $dateToString formats for each bucket size (weeks are ISO weeks, e.g. 2026-W07)
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const roundMoney = (expression) => ({ $round: [{ $ifNull: [expression, 0] }, 2] });
+
+// Parse ?from=&to= (YYYY-MM-DD in IST, or full ISO timestamps). `to` is inclusive of the whole
+// day. Defaults to the last DEFAULT_RANGE_DAYS days.
+const parseDateRange = ({ from, to } = {}) => {
+  const parse = (value, endOfDay) => {
+    if (value === undefined || value === '') return null;
+    if (typeof value !== 'string') throw createHttpError(400, 'Dates must be plain values');
+    const text = /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}${REPORT_UTC_OFFSET}`
+      : value;
+    const date = new Date(text);
+    if (isNaN(date)) throw createHttpError(400, `Invalid date: ${value}`);
+    return date;
+  };
+
+  const end = parse(to, true) || new Date();
+  const start = parse(from, false) || new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (start > end) throw createHttpError(400, 'from cannot be after to');
+  if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw createHttpError(400, `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  return { from: start, to: end };
+};
+
+const parseInterval = (interval = 'day') => {
+  if (!INTERVAL_FORMATS[interval]) {
+    throw createHttpError(400, `Interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`);
+  }
+  return interval;
+};
+
+const periodOf = (interval, field = '$createdAt') => ({
+  $dateToString: { format: INTERVAL_FORMATS[interval], date: field, timezone: REPORT_TIMEZONE }
+});
+
+const salesMatch = ({ from, to }) => ({ status: { $in: SALE_STATUSES }, createdAt: { $gte: from, $lte: to } });
+
+// What a line sold for after discount (including GST when prices include it)
+const lineRevenue = {
+  $ifNull: ['$items.total', { $subtract: ['$items.subtotal', { $ifNull: ['$items.discount', 0] }] }]
+};
+
+// Revenue, order count and average order value per period, with totals for the whole range
+const getSalesOverTime = async ({ from, to, interval }) => {
+  const [result] = await Order.aggregate([
+    { $match: salesMatch({ from, to }) },
+    {
+      $facet: {
+        periods: [
+          {
+            $group: {
+              _id: periodOf(interval),
+              orders: { $sum: 1 },
+              items: { $sum: '$itemCount' },
+              revenue: { $sum: '$total' },
+              discount: { $sum: { $ifNull: ['$discount', 0] } },
+              tax: { $sum: { $ifNull: ['$tax.total', 0] } },
+              shipping: { $sum: { $ifNull: ['$shipping.total', 0] } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              items: { $sum: '$itemCount' },
+              revenue: { $sum: '$total' },
+              discount: { $sum: { $ifNull: ['$discount', 0] } },
+              tax: { $sum: { $ifNull: ['$tax.total', 0] } },
+              shipping: { $sum: { $ifNull: ['$shipping.total', 0] } },
+              customers: { $addToSet: '$user' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const toRow = (entry) => ({
+    orders: entry.orders,
+    items: entry.items,
+    revenue: Math.round(entry.revenue * 100) / 100,
+    averageOrderValue: entry.orders ? Math.round(entry.revenue / entry.orders * 100) / 100 : 0,
+    discount: Math.round(entry.discount * 100) / 100,
+    tax: Math.round(entry.tax * 100) / 100,
+    shipping: Math.round(entry.shipping * 100) / 100
+  });
+
+  const totals = result.totals[0];
+  return {
+    periods: result.periods.map(entry => ({ period: entry._id, ...toRow(entry) })),
+    totals: totals
+      ? { ...toRow(totals), customers: totals.customers.length }
+      : { orders: 0, items: 0, revenue: 0, averageOrderValue: 0, discount: 0, tax: 0, shipping: 0, customers: 0 }
+  };
+};
+
+// Best-selling products by units or revenue
+const getTopProducts = async ({ from, to, limit, sortBy }) => Order.aggregate([
+  { $match: salesMatch({ from, to }) },
+  { $unwind: '$items' },
+  {
+    $group: {
+      _id: '$items.product',
+      name: { $last: '$items.name' },
+      quantity: { $sum: '$items.quantity' },
+      revenue: { $sum: lineRevenue },
+      orders: { $addToSet: '$_id' }
+    }
+  },
+  { $sort: sortBy === 'revenue' ? { revenue: -1, quantity: -1 } : { quantity: -1, revenue: -1 } },
+  { $limit: limit },
+  {
+    $project: {
+      _id: 0,
+      productId: '$_id',
+      name: 1,
+      quantity: 1,
+      revenue: roundMoney('$revenue'),
+      orders: { $size: '$orders' }
+    }
+  }
+]);
+
+// Best-selling categories, using each product's current category
+const getTopCategories = async ({ from, to, limit, sortBy }) => Order.aggregate([
+  { $match: salesMatch({ from, to }) },
+  { $unwind: '$items' },
+  {
+    $group: {
+      _id: '$items.product',
+      quantity: { $sum: '$items.quantity' },
+      revenue: { $sum: lineRevenue },
+      orders: { $addToSet: '$_id' }
+    }
+  },
+  {
+    $lookup: {
+      from: Product.collection.name,
+      let: { product: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$product'] } } },
+        { $project: { category: 1 } }
+      ],
+      as: 'product'
+    }
+  },
+  {
+    $group: {
+      _id: { $ifNull: [{ $arrayElemAt: ['$product.category', 0] }, 'uncategorized'] },
+      quantity: { $sum: '$quantity' },
+      revenue: { $sum: '$revenue' },
+      products: { $sum: 1 },
+      orders: { $push: '$orders' }
+    }
+  },
+  { $sort: sortBy === 'revenue' ? { revenue: -1, quantity: -1 } : { quantity: -1, revenue: -1 } },
+  { $limit: limit },
+  {
+    $project: {
+      _id: 0,
+      category: '$_id',
+      quantity: 1,
+      revenue: roundMoney('$revenue'),
+      products: 1,
+      orders: {
+        $size: { $reduce: { input: '$orders', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+      }
+    }
+  }
+]);
+
+// Customers who ordered in each period, split into first-time and returning buyers. A customer
+// is new in the period holding their first ever sale; anyone who bought before that period is
+// returning, even when the earlier order falls outside the range.
+const getCustomerBreakdown = async ({ from, to, interval }) => {
+  const periods = await Order.aggregate([
+    { $match: salesMatch({ from, to }) },
+    {
+      $group: {
+        _id: { user: '$user', period: periodOf(interval) },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$total' }
+      }
+    },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { user: '$_id.user' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$user', '$$user'] }, status: { $in: SALE_STATUSES } } },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { createdAt: 1 } }
+        ],
+        as: 'firstOrder'
+      }
+    },
+    {
+      $addFields: {
+        isNew: { $eq: [periodOf(interval, { $arrayElemAt: ['$firstOrder.createdAt', 0] }), '$_id.period'] }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.period',
+        newCustomers: { $sum: { $cond: ['$isNew', 1, 0] } },
+        returningCustomers: { $sum: { $cond: ['$isNew', 0, 1] } },
+        newCustomerOrders: { $sum: { $cond: ['$isNew', '$orders', 0] } },
+        returningCustomerOrders: { $sum: { $cond: ['$isNew', 0, '$orders'] } },
+        newCustomerRevenue: { $sum: { $cond: ['$isNew', '$revenue', 0] } },
+        returningCustomerRevenue: { $sum: { $cond: ['$isNew', 0, '$revenue'] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return periods.map(({ _id, newCustomerRevenue, returningCustomerRevenue, ...counts }) => ({
+    period: _id,
+    ...counts,
+    newCustomerRevenue: Math.round(newCustomerRevenue * 100) / 100,
+    returningCustomerRevenue: Math.round(returningCustomerRevenue * 100) / 100
+  }));
+};
+
+// Value of stock on hand (price x stock) per category. Variant products use each active
+// variant's own price and stock.
+const getInventoryValue = async ({ includeInactive = false } = {}) => {
+  const activeVariants = {
+    $filter: { input: { $ifNull: ['$variants', []] }, as: 'variant', cond: '$$variant.isActive' }
+  };
+
+  const categories = await Product.aggregate([
+    { $match: includeInactive ? {} : { isActive: true } },
+    {
+      $addFields: {
+        value: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+            {
+              $reduce: {
+                input: activeVariants,
+                initialValue: 0,
+                in: {
+                  $add: ['$$value', { $multiply: [{ $ifNull: ['$$this.price', '$price'] }, '$$this.stock'] }]
+                }
+              }
+            },
+            { $multiply: ['$price', '$stock'] }
+          ]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$category',
+        products: { $sum: 1 },
+        units: { $sum: '$stock' },
+        outOfStock: { $sum: { $cond: [{ $lte: ['$stock', 0] }, 1, 0] } },
+        value: { $sum: '$value' }
+      }
+    },
+    { $sort: { value: -1, _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        category: '$_id',
+        products: 1,
+        units: 1,
+        outOfStock: 1,
+        value: roundMoney('$value')
+      }
+    }
+  ]);
+
+  const totals = categories.reduce((sum, row) => ({
+    products: sum.products + row.products,
+    units: sum.units + row.units,
+    outOfStock: sum.outOfStock + row.outOfStock,
+    value: Math.round((sum.value + row.value) * 100) / 100
+  }), { products: 0, units: 0, outOfStock: 0, value: 0 });
+
+  return { categories, totals };
+};
+
+// Active products with enough reviews whose average rating is at or below `maxRating`
+const getLowRatedProducts = async ({ maxRating, minReviews, limit }) => Product.find({
+  isActive: true,
+  ratingCount: { $gte: minReviews },
+  rating: { $lte: maxRating }
+})
+  .select('name category brand price rating ratingCount')
+  .sort({ rating: 1, ratingCount: -1 })
+  .limit(limit)
+  .lean();
+
+module.exports = {
+  SALE_STATUSES,
+  parseDateRange,
+  parseInterval,
+  getSalesOverTime,
+  getTopProducts,
+  getTopCategories,
+  getCustomerBreakdown,
+  getInventoryValue,
+  getLowRatedProducts
+};
@@ -0,0 +1,70 @@
+const AuditLog = require('../models/auditLog.model');
+
+// Bookkeeping and secret fields that never appear in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password'];
+
+// Plain JSON copy of a document (or object) as it is now, so later edits to the document
+// don't change it. ObjectIds and dates become strings.
+const toAuditSnapshot = (doc) => {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ flattenMaps: true, depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Top-level fields that differ between two snapshots, as [{ field, before, after }].
+ * `fields` limits the comparison to those names.
+ */
+const diffSnapshots = (before, after, fields) => {
+  const names = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return names
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+// Target reference for a product or user document
+const toAuditTarget = (doc) => {
+  if (!doc) return undefined;
+  const type = doc.constructor && doc.constructor.modelName;
+  return { type, id: doc._id, label: type === 'User' ? doc.email : doc.name };
+};
+
+/**
+ * Record an audit entry for a request. The actor, IP and user agent come from the request;
+ * pass `actor` ({ id, email, role }) when nobody is signed in yet, as for logins.
+ *   target          - the product or user document acted on
+ *   before / after  - documents or snapshots (see toAuditSnapshot) to diff; `fields` narrows it
+ *   changes         - an explicit [{ field, before, after }] list instead of a diff
+ *   metadata        - anything else worth keeping
+ * Never throws: a failed audit write is logged and the request carries on.
+ */
+const recordAudit = async (req, { action, actor, target, before, after, fields, changes, metadata }) => {
+  try {
+    const who = actor || (req.user && { id: req.user.userId, email: req.user.email, role: req.user.role }) || {};
+    const diff = changes || (before || after
+      ? diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after), fields)
+      : []);
+
+    return await AuditLog.create({
+      actor: who.id || null,
+      actorEmail: who.email,
+      actorRole: who.role,
+      action,
+      target: toAuditTarget(target),
+      changes: diff,
+      metadata,
+      ip: req.ip,
+      userAgent: (req.get('User-Agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${action}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  toAuditSnapshot,
+  diffSnapshots,
+  recordAudit
+};
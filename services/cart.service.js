@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product.model');
+const User = require('../models/user.model');
+const { findCouponByCode, evaluateCoupon } = require('./coupon.service');
+const { priceProductLines } = require('./pricing.service');
+
+// Load a product (and variant) and check it can be put in the cart at the requested quantity
+const checkProductAvailability = async (productId, quantity, variantId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { status: 400, message: 'Invalid product ID' };
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    return { status: 400, message: 'Invalid variant ID' };
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) {
+    return { status: 404, message: 'Product not found or no longer available' };
+  }
+
+  const purchase = product.resolvePurchase(variantId);
+  if (purchase.error) return { status: 400, message: purchase.error };
+
+  if (purchase.stock < quantity) {
+    return {
+      status: 400,
+      message: purchase.stock > 0
+        ? `Only ${purchase.stock} of ${product.name} left in stock`
+        : `${product.name} is out of stock`
+    };
+  }
+
+  return { product, purchase };
+};
+
+// Turn the available lines of a cart summary into coupon lines keyed by cart item id
+const toCouponLines = (summary) => summary.items
+  .filter(item => item.available)
+  .map(item => ({
+    key: item.id.toString(),
+    product: item.product.id,
+    category: item.product.category,
+    subtotal: item.subtotal
+  }));
+
+// Validate the cart's coupon against a summary. A coupon that no longer validates stays
+// on the cart but is reported with the reason and gives no discount.
+const applyCartCoupon = async (cart, summary, userId) => {
+  if (!cart.couponCode) return { coupon: null, discounts: new Map() };
+
+  try {
+    const coupon = await findCouponByCode(cart.couponCode);
+    const breakdown = await evaluateCoupon(coupon, {
+      userId,
+      subtotal: summary.subtotal,
+      lines: toCouponLines(summary)
+    });
+
+    return {
+      coupon: {
+        valid: true,
+        ...breakdown,
+        lines: breakdown.lines.map(({ key, ...line }) => ({ itemId: key, ...line }))
+      },
+      discounts: new Map(breakdown.lines.map(line => [line.key, line.discount]))
+    };
+  } catch (error) {
+    if (!error.status) throw error;
+    return {
+      coupon: { valid: false, code: cart.couponCode, message: error.message, ...(error.details && { details: error.details }) },
+      discounts: new Map()
+    };
+  }
+};
+
+// Cart summary plus coupon breakdown, shipping, GST and the grand total. Tax is split using
+// the user's default shipping address; without one it is an estimate.
+const priceCart = async (cart, userId) => {
+  const summary = await cart.getSummary();
+  const { coupon, discounts } = await applyCartCoupon(cart, summary, userId);
+
+  const user = await User.findById(userId).select('addresses');
+  const shippingAddress = user && user.getDefaultAddress('shipping');
+
+  // getSummary() populated the products, so each cart line carries its product document
+  const products = new Map(cart.items.map(item => [item._id.toString(), item.product]));
+  const totals = await priceProductLines(
+    summary.items
+      .filter(item => item.available)
+      .map(item => ({
+        key: item.id.toString(),
+        product: products.get(item.id.toString()),
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        discount: discounts.get(item.id.toString()) || 0
+      })),
+    { shippingState: shippingAddress && shippingAddress.stateCode }
+  );
+
+  return {
+    ...summary,
+    coupon,
+    discount: totals.discount,
+    shipping: totals.shipping,
+    tax: {
+      ...totals.tax,
+      pricesIncludeTax: totals.pricesIncludeTax,
+      interState: totals.interState,
+      estimated: totals.estimated,
+      placeOfSupply: totals.placeOfSupply
+    },
+    total: totals.total
+  };
+};
+
+module.exports = {
+  checkProductAvailability,
+  toCouponLines,
+  priceCart
+};
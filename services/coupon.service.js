@@ -0,0 +1,152 @@
+const Coupon = require('../models/coupon.model');
+const CouponUsage = require('../models/couponUsage.model');
+const Category = require('../models/category.model');
+const createHttpError = require('../utils/httpError');
+
+// Discounts are worked out in paise so allocations across lines always add up
+const toPaise = (amount) => Math.round(amount * 100);
+const fromPaise = (paise) => paise / 100;
+
+// Look up a coupon by the code a customer typed
+const findCouponByCode = async (code) => {
+  const normalized = Coupon.normalizeCode(code);
+  if (!normalized) throw createHttpError(400, 'Coupon code is required');
+
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon) throw createHttpError(404, 'Coupon not found');
+  return coupon;
+};
+
+// Check every rule except the product restriction; throws an HTTP error naming the first one that fails
+const checkCouponRules = async (coupon, { userId, subtotal, now = new Date() }) => {
+  if (!coupon.isActive) throw createHttpError(400, 'Coupon is no longer active');
+  if (coupon.startsAt && coupon.startsAt > now) throw createHttpError(400, 'Coupon is not active yet');
+  if (coupon.expiresAt && coupon.expiresAt <= now) throw createHttpError(400, 'Coupon has expired');
+
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    throw createHttpError(409, 'Coupon usage limit has been reached');
+  }
+
+  if (coupon.maxUsesPerUser !== null && userId) {
+    const usage = await CouponUsage.findOne({ coupon: coupon._id, user: userId }).select('count');
+    if (usage && usage.count >= coupon.maxUsesPerUser) {
+      throw createHttpError(409, 'You have already used this coupon the maximum number of times');
+    }
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    throw createHttpError(400, `Minimum order value for this coupon is ₹${coupon.minOrderValue}`, {
+      minOrderValue: coupon.minOrderValue,
+      shortBy: fromPaise(toPaise(coupon.minOrderValue) - toPaise(subtotal))
+    });
+  }
+};
+
+// Validate a coupon against a set of lines ({ key, product, category, subtotal }) and split the
+// discount across the eligible ones in proportion to their subtotals
+const evaluateCoupon = async (coupon, { userId, lines, subtotal, now }) => {
+  await checkCouponRules(coupon, { userId, subtotal, now });
+
+  let isEligible = () => true;
+  if (coupon.isRestricted()) {
+    const categories = new Set(coupon.categories.length ? await Category.expandSlugs(coupon.categories) : []);
+    const products = new Set(coupon.products.map(id => id.toString()));
+    isEligible = line => products.has(String(line.product)) || categories.has(line.category);
+  }
+
+  const eligible = lines.filter(isEligible);
+  const eligiblePaise = eligible.reduce((sum, line) => sum + toPaise(line.subtotal), 0);
+  if (eligiblePaise === 0) throw createHttpError(400, 'Coupon does not apply to any item in your cart');
+
+  let discountPaise = coupon.type === 'percentage'
+    ? Math.round(eligiblePaise * coupon.value / 100)
+    : toPaise(coupon.value);
+  if (coupon.type === 'percentage' && coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+    discountPaise = Math.min(discountPaise, toPaise(coupon.maxDiscount));
+  }
+  discountPaise = Math.min(discountPaise, eligiblePaise);
+
+  // Floor each share and hand the leftover paise to the largest line
+  const shares = new Map();
+  let allocated = 0;
+  eligible.forEach(line => {
+    const share = Math.floor(discountPaise * toPaise(line.subtotal) / eligiblePaise);
+    shares.set(line.key, share);
+    allocated += share;
+  });
+  const largest = eligible.reduce((max, line) => (line.subtotal > max.subtotal ? line : max), eligible[0]);
+  shares.set(largest.key, shares.get(largest.key) + discountPaise - allocated);
+
+  return {
+    couponId: coupon._id,
+    code: coupon.code,
+    description: coupon.description,
+    type: coupon.type,
+    value: coupon.value,
+    maxDiscount: coupon.maxDiscount,
+    eligibleSubtotal: fromPaise(eligiblePaise),
+    discount: fromPaise(discountPaise),
+    lines: lines.map(line => ({
+      key: line.key,
+      eligible: shares.has(line.key),
+      discount: fromPaise(shares.get(line.key) || 0)
+    }))
+  };
+};
+
+// Record one use of a coupon by a user for an order. Both the per-user and the overall limit
+// are enforced by conditional updates, so concurrent checkouts can never exceed them.
+const redeemCoupon = async (coupon, userId, orderId) => {
+  const usageFilter = { coupon: coupon._id, user: userId };
+  if (coupon.maxUsesPerUser !== null) usageFilter.count = { $lt: coupon.maxUsesPerUser };
+
+  const usageUpdate = { $inc: { count: 1 }, $push: { orders: orderId } };
+  let usage;
+  try {
+    // When the user is at their limit the filter misses and the upsert hits the unique index
+    usage = await CouponUsage.findOneAndUpdate(usageFilter, usageUpdate, { upsert: true, new: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Two first uses can race on the insert; the loser retries as a plain update
+    usage = await CouponUsage.findOneAndUpdate(usageFilter, usageUpdate, { new: true });
+  }
+  if (!usage) {
+    throw createHttpError(409, 'You have already used this coupon the maximum number of times');
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await CouponUsage.updateOne(
+      { coupon: coupon._id, user: userId, count: { $gt: 0 } },
+      { $inc: { count: -1 }, $pull: { orders: orderId } }
+    );
+    throw createHttpError(409, 'Coupon usage limit has been reached');
+  }
+
+  return updated;
+};
+
+// Give back a use recorded by redeemCoupon, e.g. when the order fails or is cancelled
+const releaseCoupon = async (couponId, userId, orderId) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponUsage.updateOne(
+    { coupon: couponId, user: userId, orders: orderId, count: { $gt: 0 } },
+    { $inc: { count: -1 }, $pull: { orders: orderId } }
+  );
+};
+
+module.exports = {
+  findCouponByCode,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
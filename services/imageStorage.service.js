@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const Product = require('../models/product.model');
+const createHttpError = require('../utils/httpError');
+
+// Served by express.static('uploads') in server.js
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const PRODUCT_IMAGE_DIR = path.join(UPLOAD_ROOT, 'products');
+const PRODUCT_IMAGE_URL_PREFIX = '/uploads/products/';
+
+// Leading bytes of each accepted format
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: buf => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', matches: buf => buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', extension: 'gif', matches: buf => buf.length > 6 && ['GIF87a', 'GIF89a'].includes(buf.subarray(0, 6).toString('ascii')) },
+  { mimeType: 'image/webp', extension: 'webp', matches: buf => buf.length > 12 && buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const ALLOWED_IMAGE_TYPES = IMAGE_SIGNATURES.map(signature => signature.mimeType);
+
+// Detect the real image type from the file contents, ignoring the client-supplied name
+const detectImageType = (buffer) => IMAGE_SIGNATURES.find(signature => signature.matches(buffer)) || null;
+
+// Store an uploaded image (multer memory file) under a content-hashed name.
+// Identical uploads share one file.
+const saveProductImage = async (file) => {
+  const detected = detectImageType(file.buffer);
+  if (!detected) {
+    throw createHttpError(400, `${file.originalname} is not a supported image`);
+  }
+  if (detected.mimeType !== file.mimetype) {
+    throw createHttpError(400, `${file.originalname} content does not match its declared type`);
+  }
+
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const filename = `${hash}.${detected.extension}`;
+
+  await fs.mkdir(PRODUCT_IMAGE_DIR, { recursive: true });
+  try {
+    await fs.writeFile(path.join(PRODUCT_IMAGE_DIR, filename), file.buffer, { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  return {
+    url: `${PRODUCT_IMAGE_URL_PREFIX}${filename}`,
+    filename,
+    mimeType: detected.mimeType,
+    size: file.size
+  };
+};
+
+// Save several uploads, removing any already written if one of them is rejected
+const saveProductImages = async (files) => {
+  const saved = [];
+  try {
+    for (const file of files) {
+      saved.push(await saveProductImage(file));
+    }
+    return saved;
+  } catch (error) {
+    await deleteProductImageFiles(saved.map(image => image.filename));
+    throw error;
+  }
+};
+
+// Remove stored files that no product references any more
+const deleteProductImageFiles = async (filenames) => {
+  for (const filename of new Set(filenames.filter(Boolean))) {
+    const stillUsed = await Product.exists({ 'images.filename': filename });
+    if (stillUsed) continue;
+
+    try {
+      await fs.unlink(path.join(PRODUCT_IMAGE_DIR, path.basename(filename)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Error deleting product image file:', error);
+    }
+  }
+};
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  PRODUCT_IMAGE_URL_PREFIX,
+  detectImageType,
+  saveProductImages,
+  deleteProductImageFiles
+};
@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product.model');
+const StockMovement = require('../models/stockMovement.model');
+const createHttpError = require('../utils/httpError');
+const { toVariantData } = require('../utils/productInput');
+const { queueLowStockAlert } = require('./notification.service');
+
+// Stock of a line's bucket (a variant, or the product itself) in a product document
+const stockOf = (product, variantId) => {
+  if (!variantId) return product.stock;
+  const variant = product.variants.id(variantId);
+  return variant ? variant.stock : 0;
+};
+
+// Write one ledger entry for a change that has already been applied. `after` is the level
+// once the change landed; a failed write is logged rather than undoing the stock change.
+const recordMovement = async (product, variantId, { reason, quantity, after, user, order, note }) => {
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const before = after - quantity;
+
+  try {
+    const movement = await StockMovement.create({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : undefined,
+      reason,
+      quantity,
+      before,
+      after,
+      user,
+      order,
+      note
+    });
+
+    const threshold = product.getLowStockThreshold();
+    if (quantity < 0 && before > threshold && after <= threshold) {
+      queueLowStockAlert(product, variant, after);
+    }
+    return movement;
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    return null;
+  }
+};
+
+// Record which buckets hold what before a product edit, for recordStockEdits()
+const snapshotStock = (product) => ({
+  stock: product.stock,
+  variants: new Map((product.variants || []).map(variant => [
+    variant._id.toString(),
+    { stock: variant.stock, sku: variant.sku }
+  ]))
+});
+
+// Record the stock changes made by editing a product document directly (create/update)
+const recordStockEdits = async (before, product, { reason = 'adjustment', user, note } = {}) => {
+  const movements = [];
+
+  if (!product.hasVariants() && before.variants.size === 0) {
+    if (product.stock !== before.stock) {
+      movements.push(recordMovement(product, null, {
+        reason, quantity: product.stock - before.stock, after: product.stock, user, note
+      }));
+    }
+    return Promise.all(movements);
+  }
+
+  product.variants.forEach(variant => {
+    const previous = before.variants.get(variant._id.toString());
+    const previousStock = previous ? previous.stock : 0;
+    if (variant.stock !== previousStock) {
+      movements.push(recordMovement(product, variant._id, {
+        reason, quantity: variant.stock - previousStock, after: variant.stock, user, note
+      }));
+    }
+  });
+
+  // Variants removed in the edit take their stock with them
+  before.variants.forEach((previous, variantId) => {
+    if (!product.variants.id(variantId) && previous.stock !== 0) {
+      movements.push(StockMovement.create({
+        product: product._id,
+        variant: variantId,
+        sku: previous.sku,
+        reason,
+        quantity: -previous.stock,
+        before: previous.stock,
+        after: 0,
+        user,
+        note: note || 'Variant removed'
+      }).catch(error => console.error('Error recording stock movement:', error)));
+    }
+  });
+
+  return Promise.all(movements);
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Build an update that adds the given amounts ({ stock, reserved }) to a line's bucket:
+// the variant and the product total for variant lines, otherwise the product
+const incrementBucket = (line, amounts) => {
+  const $inc = {};
+  Object.entries(amounts).forEach(([field, amount]) => {
+    $inc[field] = amount;
+    if (line.variant) $inc[`variants.$[bucket].${field}`] = amount;
+  });
+  const options = { new: true };
+  if (line.variant) options.arrayFilters = [{ 'bucket._id': toObjectId(line.variant) }];
+  return [{ $inc }, options];
+};
+
+// Filter matching a line's product while it is on sale and at least `line.quantity`
+// of the bucket is neither sold nor reserved by another checkout
+const availableFilter = (line) => {
+  const spare = (path) => ({ $subtract: [`${path}.stock`, { $ifNull: [`${path}.reserved`, 0] }] });
+
+  if (!line.variant) {
+    return { _id: line.product, isActive: true, $expr: { $gte: [spare('$$ROOT'), line.quantity] } };
+  }
+  return {
+    _id: line.product,
+    isActive: true,
+    $expr: {
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: ['$variants', []] },
+          as: 'variant',
+          in: {
+            $and: [
+              { $eq: ['$$variant._id', toObjectId(line.variant)] },
+              '$$variant.isActive',
+              { $gte: [spare('$$variant'), line.quantity] }
+            ]
+          }
+        }
+      }]
+    }
+  };
+};
+
+// Atomically add `quantity` to a line's bucket (and the product total for variants)
+const incrementStock = (line, quantity) => Product.findOneAndUpdate(
+  line.variant ? { _id: line.product, 'variants._id': line.variant } : { _id: line.product },
+  ...incrementBucket(line, { stock: quantity })
+);
+
+// Put stock back for the given lines ({ product, variant, quantity }) and record why.
+// Variant stock and the product's total stock move together.
+const restoreStock = async (lines, { reason = 'cancellation', user, order, note } = {}) => {
+  for (const line of lines) {
+    const updated = await incrementStock(line, line.quantity);
+    if (updated) {
+      await recordMovement(updated, line.variant, {
+        reason, quantity: line.quantity, after: stockOf(updated, line.variant), user, order, note
+      });
+    }
+  }
+};
+
+// Atomically take stock for every line. Each decrement only matches while enough
+// unreserved stock is left, so two buyers can never both take the last unit. If any
+// line cannot be fulfilled, lines already taken are put back and a 409 is thrown.
+// Sales are only written to the ledger once every line has been taken.
+const decrementStock = async (lines, { user, order } = {}) => {
+  const taken = [];
+
+  for (const line of lines) {
+    const updated = await Product.findOneAndUpdate(
+      availableFilter(line),
+      ...incrementBucket(line, { stock: -line.quantity })
+    );
+
+    if (!updated) {
+      for (const entry of taken) await incrementStock(entry.line, entry.line.quantity);
+      throw createHttpError(409, `Insufficient stock for ${line.name || 'product'}`, {
+        productId: line.product
+      });
+    }
+
+    taken.push({ line, product: updated });
+  }
+
+  for (const { line, product } of taken) {
+    await recordMovement(product, line.variant, {
+      reason: 'sale', quantity: -line.quantity, after: stockOf(product, line.variant), user, order
+    });
+  }
+};
+
+const MAX_SET_ATTEMPTS = 5;
+
+// Change one bucket's stock by hand and record it. Pass `quantity` for a signed change or
+// `stock` for a new absolute level. Absolute levels are applied as a compare-and-set on the
+// current value so a sale landing at the same moment is never overwritten.
+// Resolves with { product, movement }; movement is null when nothing changed.
+const adjustStock = async (productId, { variantId, quantity, stock, reason = 'adjustment', user, order, note } = {}) => {
+  if (!['restock', 'adjustment', 'return'].includes(reason)) {
+    throw createHttpError(400, 'Reason must be one of: restock, adjustment, return');
+  }
+  if ((quantity === undefined) === (stock === undefined)) {
+    throw createHttpError(400, 'Provide either quantity (a change) or stock (a new level)');
+  }
+  if (quantity !== undefined && (!Number.isInteger(quantity) || quantity === 0)) {
+    throw createHttpError(400, 'Quantity must be a non-zero whole number');
+  }
+  if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+    throw createHttpError(400, 'Stock must be a whole number of at least 0');
+  }
+
+  for (let attempt = 0; attempt < MAX_SET_ATTEMPTS; attempt += 1) {
+    const product = await Product.findById(productId);
+    if (!product) throw createHttpError(404, 'Product not found');
+
+    let variant = null;
+    if (product.hasVariants()) {
+      if (!variantId) throw createHttpError(400, 'Stock is managed per variant for this product; choose a variant');
+      variant = product.variants.id(variantId);
+      if (!variant) throw createHttpError(404, 'Variant not found');
+    } else if (variantId) {
+      throw createHttpError(400, `${product.name} has no variants`);
+    }
+
+    const current = variant ? variant.stock : product.stock;
+    const delta = stock !== undefined ? stock - current : quantity;
+    if (delta === 0) return { product, movement: null };
+    if (current + delta < 0) {
+      throw createHttpError(409, `Cannot remove ${-delta}; only ${current} in stock`);
+    }
+
+    // Match the level we read (absolute) or enough stock to remove (relative)
+    const bucketCondition = stock !== undefined ? current : (delta < 0 ? { $gte: -delta } : { $exists: true });
+    const filter = variant
+      ? { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: bucketCondition } } }
+      : { _id: product._id, stock: bucketCondition };
+    // Inactive variants don't count towards the product total
+    const update = variant
+      ? { $inc: { 'variants.$.stock': delta, ...(variant.isActive && { stock: delta }) } }
+      : { $inc: { stock: delta } };
+
+    const updated = await Product.findOneAndUpdate(filter, update, { new: true });
+    if (!updated) {
+      if (stock !== undefined) continue;
+      throw createHttpError(409, `Cannot remove ${-delta}; stock changed, please retry`);
+    }
+
+    const movement = await recordMovement(updated, variant && variant._id, {
+      reason, quantity: delta, after: stockOf(updated, variant && variant._id), user, order, note
+    });
+    return { product: updated, movement };
+  }
+
+  throw createHttpError(409, 'Stock is changing too quickly; please retry');
+};
+
+// Plain copy of a subdocument for a pipeline update; unset fields are left out rather than written as null
+const toPipelineValue = (subdoc) => Object.fromEntries(
+  Object.entries(subdoc.toObject({ flattenMaps: true })).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Check new option axes and variants for a product without saving anything. `options` and
+ * `variants` are request input (see parseVariantInput); leave one out to keep what the
+ * product has. Variants keep their id when the SKU is unchanged. Resolves with a copy of the
+ * product carrying the edit, for replaceVariants(); rejects with a ValidationError when the
+ * variants don't fit the axes.
+ */
+const prepareVariantEdit = async (product, { options, variants }) => {
+  const edit = Product.hydrate(product.toObject());
+  if (options !== undefined) edit.options = options;
+  if (variants !== undefined) edit.variants = variants.map(variant => toVariantData(variant, product.variants));
+  await edit.validate();
+  return edit;
+};
+
+/**
+ * Write the options and variants of a prepareVariantEdit() edit in one atomic update.
+ * Variants that stay keep the stock and reserved counts the database has when the update
+ * lands, so sales and checkouts that happen meanwhile are never overwritten; new variants
+ * start with the stock they were given. Variants holding stock for unpaid checkouts can't be
+ * removed (409). The product's total stock and price range are recomputed in the same update.
+ * Resolves with { product, stockBefore }, stockBefore being snapshotStock() of the replaced state.
+ */
+const replaceVariants = async (edit, { reason = 'adjustment', user, note } = {}) => {
+  const variants = edit.variants.map(toPipelineValue);
+  const filter = {
+    _id: edit._id,
+    variants: { $not: { $elemMatch: { _id: { $nin: variants.map(variant => variant._id) }, reserved: { $gt: 0 } } } }
+  };
+  // Stock held on the product itself can't be split across new variants
+  if (variants.length) filter.$or = [{ 'variants.0': { $exists: true } }, { reserved: { $not: { $gt: 0 } } }];
+
+  const activeVariants = { $filter: { input: '$variants', as: 'variant', cond: '$$variant.isActive' } };
+  const update = [
+    {
+      $set: {
+        options: { $literal: edit.options.map(toPipelineValue) },
+        variants: {
+          $map: {
+            input: { $literal: variants },
+            as: 'next',
+            in: {
+              $let: {
+                vars: {
+                  current: {
+                    $arrayElemAt: [{
+                      $filter: {
+                        input: { $ifNull: ['$variants', []] },
+                        as: 'variant',
+                        cond: { $eq: ['$$variant._id', '$$next._id'] }
+                      }
+                    }, 0]
+                  }
+                },
+                in: {
+                  $cond: [
+                    { $ifNull: ['$$current', false] },
+                    { $mergeObjects: ['$$next', { stock: '$$current.stock', reserved: { $ifNull: ['$$current.reserved', 0] } }] },
+                    // Nothing can be reserved yet on a variant that is only now being added
+                    { $mergeObjects: ['$$next', { reserved: 0 }] }
+                  ]
+                }
+              }
+            }
+          }
+        },
+        hadVariants: { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] }
+      }
+    },
+    {
+      $set: {
+        // Active variants add up to the product total; dropping every variant empties it
+        stock: {
+          $cond: [
+            { $gt: [{ $size: '$variants' }, 0] },
+            { $sum: { $map: { input: activeVariants, as: 'variant', in: '$$variant.stock' } } },
+            { $cond: ['$hadVariants', 0, '$stock'] }
+          ]
+        },
+        priceRange: {
+          $let: {
+            vars: {
+              prices: {
+                $map: {
+                  input: { $cond: [{ $gt: [{ $size: activeVariants }, 0] }, activeVariants, '$variants'] },
+                  as: 'variant',
+                  in: { $ifNull: ['$$variant.price', '$price'] }
+                }
+              }
+            },
+            in: {
+              $cond: [
+                { $gt: [{ $size: '$$prices' }, 0] },
+                { min: { $min: '$$prices' }, max: { $max: '$$prices' } },
+                { min: '$price', max: '$price' }
+              ]
+            }
+          }
+        }
+      }
+    },
+    { $unset: 'hadVariants' }
+  ];
+
+  const before = await Product.findOneAndUpdate(filter, update, { new: false });
+  if (!before) {
+    if (!(await Product.exists({ _id: edit._id }))) throw createHttpError(404, 'Product not found');
+    throw createHttpError(409, 'Stock held by unpaid checkouts stops these variants from being removed; try again once those checkouts finish');
+  }
+  const product = await Product.findById(edit._id) || before;
+  const stockBefore = snapshotStock(before);
+
+  // New variants enter the ledger with their opening stock
+  for (const variant of edit.variants) {
+    if (!stockBefore.variants.has(variant._id.toString()) && variant.stock > 0) {
+      await recordMovement(product, variant._id, { reason, quantity: variant.stock, after: variant.stock, user, note });
+    }
+  }
+
+  // Removed variants, or the product's own stock once variants take over, are written off
+  const writeOffs = [];
+  const keptIds = new Set(variants.map(variant => variant._id.toString()));
+  stockBefore.variants.forEach((previous, variantId) => {
+    if (!keptIds.has(variantId) && previous.stock !== 0) {
+      writeOffs.push({ variant: variantId, sku: previous.sku, stock: previous.stock, note: note || 'Variant removed' });
+    }
+  });
+  if (!before.hasVariants() && variants.length && before.stock !== 0) {
+    writeOffs.push({ variant: null, stock: before.stock, note: note || 'Stock moved to variants' });
+  }
+  for (const entry of writeOffs) {
+    await StockMovement.create({
+      product: product._id,
+      variant: entry.variant,
+      sku: entry.sku,
+      reason,
+      quantity: -entry.stock,
+      before: entry.stock,
+      after: 0,
+      user,
+      note: entry.note
+    }).catch(error => console.error('Error recording stock movement:', error));
+  }
+
+  return { product, stockBefore };
+};
+
+module.exports = {
+  stockOf,
+  recordMovement,
+  incrementBucket,
+  availableFilter,
+  snapshotStock,
+  recordStockEdits,
+  decrementStock,
+  restoreStock,
+  adjustStock,
+  prepareVariantEdit,
+  replaceVariants
+};
@@ -0,0 +1,468 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/order.model');
+const Counter = require('../models/counter.model');
+const createHttpError = require('../utils/httpError');
+const { escapeHtml } = require('./mailer/templates');
+const { SELLER_NAME, SELLER_ADDRESS, SELLER_GSTIN, SELLER_STATE } = require('../config/pricing');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+const INVOICEABLE_STATUSES = ['paid', 'shipped', 'delivered'];
+const IST_OFFSET_MS = 330 * 60 * 1000;
+// How long a request's claim to number an invoice holds before another request may take over
+const INVOICE_CLAIM_MS = 30 * 1000;
+// How long other requests wait for the claimant's number (attempts x delay)
+const INVOICE_WAIT_ATTEMPTS = 20;
+const INVOICE_WAIT_MS = 100;
+
+// Indian financial year (April to March, in IST) a date falls in, e.g. "2627" for 2026-27
+const financialYear = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(startYear % 100).padStart(2, '0')}${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// GST allows at most 16 characters, e.g. "INV/2627/000042"; numbering restarts every financial year
+const formatInvoiceNumber = (seq, date) => `${INVOICE_PREFIX}/${financialYear(date)}/${String(seq).padStart(6, '0')}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Copy the stored invoice number onto `order`; resolves true once there is one
+const loadInvoiceNumber = async (order) => {
+  const current = await Order.findById(order._id).select('invoiceNumber invoicedAt');
+  if (!current || !current.invoiceNumber) return false;
+  order.invoiceNumber = current.invoiceNumber;
+  order.invoicedAt = current.invoicedAt;
+  return true;
+};
+
+// Give an order its invoice number if it doesn't have one yet. A request first claims the
+// order (invoicingAt) and only the claimant takes a number from the counter, so losing a
+// race never burns a number and the GST series stays without gaps. Other requests wait for
+// the claimant's number and get a 409 if it doesn't arrive; with `wait: false` they return
+// the order without one instead.
+const assignInvoiceNumber = async (order, { wait = true } = {}) => {
+  if (order.invoiceNumber) return order;
+
+  const claimedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      invoiceNumber: { $exists: false },
+      $or: [
+        { invoicingAt: { $exists: false } },
+        { invoicingAt: { $lte: new Date(claimedAt.getTime() - INVOICE_CLAIM_MS) } }
+      ]
+    },
+    { $set: { invoicingAt: claimedAt } }
+  );
+
+  if (claimed) {
+    const seq = await Counter.next(`invoice-${financialYear(claimedAt)}`);
+    const invoiceNumber = formatInvoiceNumber(seq, claimedAt);
+    const result = await Order.updateOne(
+      { _id: order._id, invoicingAt: claimedAt, invoiceNumber: { $exists: false } },
+      { $set: { invoiceNumber, invoicedAt: claimedAt }, $unset: { invoicingAt: '' } }
+    );
+    if (result.modifiedCount) {
+      order.invoiceNumber = invoiceNumber;
+      order.invoicedAt = claimedAt;
+      return order;
+    }
+  }
+
+  for (let attempt = 0; attempt <= INVOICE_WAIT_ATTEMPTS; attempt += 1) {
+    if (await loadInvoiceNumber(order)) return order;
+    if (!wait) return order;
+    await sleep(INVOICE_WAIT_MS);
+  }
+  throw createHttpError(409, 'The invoice number is still being assigned; try again shortly');
+};
+
+// Whether an order may have an invoice issued (already invoiced, or paid and not cancelled)
+const canInvoice = (order) => Boolean(order.invoiceNumber) || INVOICEABLE_STATUSES.includes(order.status);
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven',
+  'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowThousand = (n) => {
+  const words = [];
+  if (n >= 100) {
+    words.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    words.push(TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : ''));
+  } else if (n > 0) {
+    words.push(ONES[n]);
+  }
+  return words.join(' ');
+};
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+const numberInWords = (n) => {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${numberInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowThousand(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowThousand(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+};
+
+// e.g. 1234.5 -> "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const paise = Math.round(amount * 100);
+  const rupees = Math.floor(paise / 100);
+  const rest = paise % 100;
+  return `Rupees ${numberInWords(rupees)}${rest ? ` and ${numberInWords(rest)} Paise` : ''} Only`;
+};
+
+const formatMoney = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+}) : '');
+
+const addressLines = (address) => {
+  if (!address) return [];
+  return [
+    address.fullName,
+    address.line1,
+    address.line2,
+    address.landmark,
+    `${address.city}, ${address.state} ${address.postalCode}`,
+    address.phone && `Phone: ${address.phone}`
+  ].filter(Boolean);
+};
+
+// Everything an invoice shows, taken from the order's snapshots. Orders placed before tax was
+// recorded are shown without tax rather than recalculated.
+const buildInvoice = (order) => {
+  const tax = order.tax || {};
+  const items = order.items.map((item, index) => {
+    const discount = item.discount || 0;
+    const options = item.options && item.options.size ? ` (${[...item.options.values()].join(', ')})` : '';
+    return {
+      index: index + 1,
+      description: `${item.name}${options}`,
+      sku: item.sku,
+      hsnCode: item.hsnCode || '',
+      quantity: item.quantity,
+      unitPrice: item.price,
+      gross: item.subtotal,
+      discount,
+      taxableValue: item.taxableValue !== undefined ? item.taxableValue : item.subtotal - discount,
+      gstRate: item.gstRate || 0,
+      cgst: item.cgst || 0,
+      sgst: item.sgst || 0,
+      igst: item.igst || 0,
+      tax: item.tax || 0,
+      total: item.total !== undefined ? item.total : item.subtotal - discount
+    };
+  });
+
+  const shipping = order.shipping && order.shipping.charge ? order.shipping : null;
+  const buyer = order.user && order.user.email ? order.user : {};
+
+  return {
+    number: order.invoiceNumber,
+    date: order.invoicedAt,
+    orderId: order._id.toString(),
+    orderDate: order.createdAt,
+    status: order.status,
+    seller: {
+      name: SELLER_NAME,
+      address: SELLER_ADDRESS,
+      gstin: tax.sellerGstin || SELLER_GSTIN,
+      state: tax.sellerState || SELLER_STATE.name,
+      stateCode: tax.sellerStateCode || SELLER_STATE.code
+    },
+    buyer: {
+      name: buyer.name,
+      email: buyer.email,
+      billingAddress: order.billingAddress,
+      shippingAddress: order.shippingAddress
+    },
+    placeOfSupply: tax.placeOfSupply ? `${tax.placeOfSupply} (${tax.placeOfSupplyCode})` : '',
+    interState: Boolean(tax.interState),
+    pricesIncludeTax: tax.pricesIncludeTax !== false,
+    couponCode: order.coupon && order.coupon.code,
+    items,
+    shipping,
+    taxBreakdown: tax.breakdown || [],
+    totals: {
+      subtotal: order.subtotal,
+      discount: order.discount || 0,
+      shipping: shipping ? shipping.total : 0,
+      taxableValue: tax.taxableValue || 0,
+      cgst: tax.cgst || 0,
+      sgst: tax.sgst || 0,
+      igst: tax.igst || 0,
+      tax: tax.total || 0,
+      total: order.total
+    },
+    amountInWords: amountInWords(order.total)
+  };
+};
+
+const renderInvoiceHtml = (invoice) => {
+  const e = escapeHtml;
+  const cell = (value, align = 'left') => `<td style="padding:4px 6px;border:1px solid #ccc;text-align:${align};">${value}</td>`;
+  const head = (label) => `<th style="padding:4px 6px;border:1px solid #ccc;background:#f3f3f3;">${e(label)}</th>`;
+  const taxHeads = invoice.interState ? ['IGST'] : ['CGST', 'SGST'];
+  const taxValues = (row) => (invoice.interState ? [row.igst] : [row.cgst, row.sgst]);
+
+  const itemRows = invoice.items.map(item => `<tr>
+      ${cell(item.index, 'center')}
+      ${cell(`${e(item.description)}${item.sku ? `<br><small>SKU: ${e(item.sku)}</small>` : ''}`)}
+      ${cell(e(item.hsnCode))}
+      ${cell(item.quantity, 'right')}
+      ${cell(formatMoney(item.unitPrice), 'right')}
+      ${cell(formatMoney(item.discount), 'right')}
+      ${cell(formatMoney(item.taxableValue), 'right')}
+      ${cell(`${item.gstRate}%`, 'right')}
+      ${taxValues(item).map(value => cell(formatMoney(value), 'right')).join('')}
+      ${cell(formatMoney(item.total), 'right')}
+    </tr>`).join('\n');
+
+  const shippingRow = invoice.shipping ? `<tr>
+      ${cell('')}
+      ${cell('Shipping charges')}
+      ${cell('9965')}
+      ${cell(1, 'right')}
+      ${cell(formatMoney(invoice.shipping.charge), 'right')}
+      ${cell(formatMoney(0), 'right')}
+      ${cell(formatMoney(invoice.shipping.taxableValue), 'right')}
+      ${cell(`${invoice.shipping.gstRate}%`, 'right')}
+      ${taxValues(invoice.shipping).map(value => cell(formatMoney(value), 'right')).join('')}
+      ${cell(formatMoney(invoice.shipping.total), 'right')}
+    </tr>` : '';
+
+  const breakdownRows = invoice.taxBreakdown.map(row => `<tr>
+      ${cell(e(row.hsnCode || '-'))}
+      ${cell(`${row.gstRate}%`, 'right')}
+      ${cell(formatMoney(row.taxableValue), 'right')}
+      ${taxValues(row).map(value => cell(formatMoney(value), 'right')).join('')}
+      ${cell(formatMoney(row.tax), 'right')}
+    </tr>`).join('\n');
+
+  const totalRow = (label, value, bold) => `<tr><td style="padding:2px 6px;">${bold ? `<strong>${e(label)}</strong>` : e(label)}</td><td style="padding:2px 6px;text-align:right;">${bold ? `<strong>₹${formatMoney(value)}</strong>` : `₹${formatMoney(value)}`}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Tax Invoice ${e(invoice.number)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #222; font-size: 13px; max-width: 900px; margin: 24px auto;">
+    <h2 style="margin-bottom:4px;">Tax Invoice</h2>
+    <table style="width:100%;margin-bottom:16px;">
+      <tr>
+        <td style="vertical-align:top;">
+          <strong>${e(invoice.seller.name)}</strong><br>
+          ${invoice.seller.address ? `${e(invoice.seller.address)}<br>` : ''}
+          ${invoice.seller.gstin ? `GSTIN: ${e(invoice.seller.gstin)}<br>` : ''}
+          State: ${e(invoice.seller.state)} (${e(invoice.seller.stateCode)})
+        </td>
+        <td style="vertical-align:top;text-align:right;">
+          Invoice No: <strong>${e(invoice.number)}</strong><br>
+          Invoice Date: ${e(formatDate(invoice.date))}<br>
+          Order ID: ${e(invoice.orderId)}<br>
+          Order Date: ${e(formatDate(invoice.orderDate))}<br>
+          ${invoice.placeOfSupply ? `Place of Supply: ${e(invoice.placeOfSupply)}` : ''}
+        </td>
+      </tr>
+    </table>
+    <table style="width:100%;margin-bottom:16px;">
+      <tr>
+        <td style="vertical-align:top;width:50%;">
+          <strong>Bill To</strong><br>
+          ${[invoice.buyer.name, ...addressLines(invoice.buyer.billingAddress), invoice.buyer.email].filter(Boolean).map(e).join('<br>')}
+        </td>
+        <td style="vertical-align:top;width:50%;">
+          <strong>Ship To</strong><br>
+          ${addressLines(invoice.buyer.shippingAddress).map(e).join('<br>')}
+        </td>
+      </tr>
+    </table>
+    <table style="width:100%;border-collapse:collapse;margin-bottom:16px;">
+      <tr>
+        ${['#', 'Item', 'HSN/SAC', 'Qty', 'Rate', 'Discount', 'Taxable', 'GST'].map(head).join('')}
+        ${taxHeads.map(head).join('')}
+        ${head('Total')}
+      </tr>
+      ${itemRows}
+      ${shippingRow}
+    </table>
+    ${breakdownRows ? `<h4 style="margin:8px 0;">Tax summary</h4>
+    <table style="border-collapse:collapse;margin-bottom:16px;">
+      <tr>${['HSN', 'Rate', 'Taxable'].map(head).join('')}${taxHeads.map(head).join('')}${head('Total tax')}</tr>
+      ${breakdownRows}
+    </table>` : ''}
+    <table style="margin-left:auto;min-width:280px;">
+      ${totalRow('Subtotal', invoice.totals.subtotal)}
+      ${invoice.totals.discount ? totalRow(`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, -invoice.totals.discount) : ''}
+      ${invoice.totals.shipping ? totalRow('Shipping', invoice.totals.shipping) : ''}
+      ${invoice.interState ? totalRow('IGST', invoice.totals.igst) : `${totalRow('CGST', invoice.totals.cgst)}${totalRow('SGST', invoice.totals.sgst)}`}
+      ${totalRow('Grand total', invoice.totals.total, true)}
+    </table>
+    <p><em>${e(invoice.amountInWords)}</em></p>
+    ${invoice.pricesIncludeTax ? '<p><small>Prices are inclusive of GST; tax shown is the GST included in each amount.</small></p>' : ''}
+    <p><small>This is a computer-generated invoice and does not require a signature.</small></p>
+  </body>
+</html>`;
+};
+
+// Render the invoice as a PDF with pdfkit and resolve with the file contents.
+// The built-in fonts have no rupee sign, so amounts are prefixed with "Rs." instead.
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Tax Invoice ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const taxLabel = invoice.interState ? 'IGST' : 'CGST+SGST';
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(16).text('Tax Invoice', left, 40);
+  doc.font('Helvetica-Bold').fontSize(10).text(invoice.seller.name, left, 64);
+  doc.font('Helvetica').fontSize(9);
+  [invoice.seller.address, invoice.seller.gstin && `GSTIN: ${invoice.seller.gstin}`,
+    `State: ${invoice.seller.state} (${invoice.seller.stateCode})`].filter(Boolean).forEach(line => doc.text(line, left));
+
+  const metaX = left + width / 2;
+  doc.text(`Invoice No: ${invoice.number}`, metaX, 64, { width: width / 2, align: 'right' });
+  [`Invoice Date: ${formatDate(invoice.date)}`, `Order ID: ${invoice.orderId}`, `Order Date: ${formatDate(invoice.orderDate)}`,
+    invoice.placeOfSupply && `Place of Supply: ${invoice.placeOfSupply}`].filter(Boolean)
+    .forEach(line => doc.text(line, metaX, undefined, { width: width / 2, align: 'right' }));
+
+  // Parties
+  let y = Math.max(doc.y, 130) + 10;
+  doc.font('Helvetica-Bold').text('Bill To', left, y).text('Ship To', metaX, y);
+  doc.font('Helvetica');
+  const billTo = [invoice.buyer.name, ...addressLines(invoice.buyer.billingAddress), invoice.buyer.email].filter(Boolean);
+  const shipTo = addressLines(invoice.buyer.shippingAddress);
+  doc.text(billTo.join('\n'), left, y + 12, { width: width / 2 - 10 });
+  const afterBill = doc.y;
+  doc.text(shipTo.join('\n'), metaX, y + 12, { width: width / 2 });
+  y = Math.max(afterBill, doc.y) + 14;
+
+  // Line items
+  const columns = [
+    { label: '#', width: 20 },
+    { label: 'Item', width: 150 },
+    { label: 'HSN', width: 45 },
+    { label: 'Qty', width: 30, align: 'right' },
+    { label: 'Rate', width: 50, align: 'right' },
+    { label: 'Disc.', width: 40, align: 'right' },
+    { label: 'Taxable', width: 55, align: 'right' },
+    { label: 'GST%', width: 30, align: 'right' },
+    { label: taxLabel, width: 45, align: 'right' },
+    { label: 'Total', width: 50, align: 'right' }
+  ];
+
+  const drawRow = (values, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...values.map((value, i) => doc.heightOfString(String(value), { width: columns[i].width - 4 }))) + 6;
+    if (y + height > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    let x = left;
+    values.forEach((value, i) => {
+      doc.text(String(value), x + 2, y + 3, { width: columns[i].width - 4, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    y += height;
+    doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#cccccc').stroke();
+  };
+
+  drawRow(columns.map(column => column.label), true);
+  invoice.items.forEach(item => drawRow([
+    item.index,
+    item.sku ? `${item.description}\nSKU: ${item.sku}` : item.description,
+    item.hsnCode,
+    item.quantity,
+    formatMoney(item.unitPrice),
+    formatMoney(item.discount),
+    formatMoney(item.taxableValue),
+    `${item.gstRate}%`,
+    formatMoney(item.tax),
+    formatMoney(item.total)
+  ]));
+  if (invoice.shipping) {
+    drawRow(['', 'Shipping charges', '9965', 1, formatMoney(invoice.shipping.charge), formatMoney(0),
+      formatMoney(invoice.shipping.taxableValue), `${invoice.shipping.gstRate}%`,
+      formatMoney(invoice.shipping.tax), formatMoney(invoice.shipping.total)]);
+  }
+
+  // Tax summary by HSN and rate
+  if (invoice.taxBreakdown.length) {
+    y += 12;
+    doc.font('Helvetica-Bold').fontSize(9).text('Tax summary', left, y);
+    y = doc.y + 4;
+    invoice.taxBreakdown.forEach(row => {
+      const split = invoice.interState
+        ? `IGST Rs.${formatMoney(row.igst)}`
+        : `CGST Rs.${formatMoney(row.cgst)}  SGST Rs.${formatMoney(row.sgst)}`;
+      doc.font('Helvetica').fontSize(8)
+        .text(`HSN ${row.hsnCode || '-'} @ ${row.gstRate}%: taxable Rs.${formatMoney(row.taxableValue)}, ${split}`, left, y);
+      y = doc.y + 2;
+    });
+  }
+
+  // Totals
+  y += 10;
+  const totals = [
+    ['Subtotal', invoice.totals.subtotal],
+    invoice.totals.discount && [`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, -invoice.totals.discount],
+    invoice.totals.shipping && ['Shipping', invoice.totals.shipping],
+    ...(invoice.interState
+      ? [['IGST', invoice.totals.igst]]
+      : [['CGST', invoice.totals.cgst], ['SGST', invoice.totals.sgst]]),
+    ['Grand total', invoice.totals.total]
+  ].filter(Boolean);
+
+  totals.forEach(([label, value], i) => {
+    const bold = i === totals.length - 1;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, left + width - 220, y, { width: 110 });
+    doc.text(`Rs. ${formatMoney(value)}`, left + width - 110, y, { width: 110, align: 'right' });
+    y = doc.y + 2;
+  });
+
+  doc.font('Helvetica-Oblique').fontSize(9).text(invoice.amountInWords, left, y + 8, { width });
+  if (invoice.pricesIncludeTax) {
+    doc.font('Helvetica').fontSize(8)
+      .text('Prices are inclusive of GST; tax shown is the GST included in each amount.', left, doc.y + 6, { width });
+  }
+  doc.font('Helvetica').fontSize(8)
+    .text('This is a computer-generated invoice and does not require a signature.', left, doc.y + 4, { width });
+
+  doc.end();
+});
+
+module.exports = {
+  formatInvoiceNumber,
+  assignInvoiceNumber,
+  canInvoice,
+  amountInWords,
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
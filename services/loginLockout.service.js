@@ -0,0 +1,53 @@
+const User = require('../models/user.model');
+
+// Consecutive failed logins that lock an account, and how long the first lock lasts.
+// Each further lockout before a successful login doubles the time, up to the maximum.
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const LOGIN_LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES || 24 * 60);
+
+const lockoutMinutes = (lockoutCount) => Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** lockoutCount, LOGIN_LOCKOUT_MAX_MINUTES);
+
+/**
+ * Count a wrong password for the user and lock the account once LOGIN_LOCKOUT_THRESHOLD is
+ * reached. Counting is atomic so parallel guesses can't slip past the threshold.
+ * Resolves with { locked, lockedUntil, attemptsLeft }.
+ */
+const registerFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: 'failedLoginAttempts lockoutCount' }
+  );
+  if (!updated) return { locked: false, attemptsLeft: 0 };
+
+  if (updated.failedLoginAttempts < LOGIN_LOCKOUT_THRESHOLD) {
+    return { locked: false, attemptsLeft: LOGIN_LOCKOUT_THRESHOLD - updated.failedLoginAttempts };
+  }
+
+  // Only the failure that reached the threshold locks; one racing it finds the count reset
+  const lockedUntil = new Date(Date.now() + lockoutMinutes(updated.lockoutCount || 0) * 60 * 1000);
+  const result = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+    { $set: { failedLoginAttempts: 0, lockedUntil }, $inc: { lockoutCount: 1 } }
+  );
+  return { locked: result.modifiedCount > 0, lockedUntil, attemptsLeft: 0 };
+};
+
+// Forget failed logins and lift any lock, after a successful login, a password reset or by staff
+const clearLoginFailures = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil && !user.lockoutCount) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockedUntil: 1 } }
+  );
+  user.failedLoginAttempts = 0;
+  user.lockoutCount = 0;
+  user.lockedUntil = undefined;
+};
+
+module.exports = {
+  LOGIN_LOCKOUT_THRESHOLD,
+  registerFailedLogin,
+  clearLoginFailures
+};
@@ -0,0 +1,13 @@
+// Development transport: prints each message to the console
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log('📧 Mail (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Test/development transport: writes each message as a JSON file so it can be inspected
+const createFileTransport = ({ directory = process.env.MAIL_OUTPUT_DIR || 'tmp/mail' } = {}) => ({
+  name: 'file',
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { id };
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,53 @@
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+const createSmtpTransport = require('./smtpTransport');
+const templates = require('./templates');
+
+// Transports by name; MAIL_TRANSPORT picks one (console by default)
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+let transport;
+
+// Fail fast on a production boot with no MAIL_TRANSPORT: the console default would print live
+// reset and verification links to the logs. Set it explicitly (even to console) to go ahead.
+const assertMailerConfigured = () => {
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production (smtp or file)');
+  }
+  if (name && !transportFactories[name]) throw new Error(`Unknown mail transport: ${name}`);
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with an in-memory one in tests
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+// Send a message ({ to, subject, text, html }) through the configured transport
+const sendMail = async (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'AngEcom <no-reply@angecommerce.app>',
+    ...message
+  });
+};
+
+module.exports = {
+  assertMailerConfigured,
+  sendMail,
+  setTransport,
+  templates
+};
@@ -0,0 +1,28 @@
+// Production transport: sends through an SMTP server configured by SMTP_* variables
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) => {
+  if (!host) throw new Error('SMTP_HOST must be set to use the smtp mail transport');
+
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
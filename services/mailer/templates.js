@@ -0,0 +1,89 @@
+// Plain-text and HTML bodies for account and store emails
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, paragraphs, action) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222;">
+    <h2>${escapeHtml(title)}</h2>
+    ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : ''}
+  </body>
+</html>`;
+
+const passwordResetEmail = ({ name, url, expiresInMinutes }) => {
+  const lines = [
+    `Hi ${name},`,
+    'We received a request to reset your password.',
+    `This link expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.`
+  ];
+  return {
+    subject: 'Reset your password',
+    text: `${lines.join('\n\n')}\n\n${url}`,
+    html: layout('Reset your password', lines, { url, label: 'Reset password' })
+  };
+};
+
+const emailVerificationEmail = ({ name, url, expiresInHours }) => {
+  const lines = [
+    `Hi ${name},`,
+    'Please confirm your email address to finish setting up your account.',
+    `This link expires in ${expiresInHours} hours.`
+  ];
+  return {
+    subject: 'Verify your email address',
+    text: `${lines.join('\n\n')}\n\n${url}`,
+    html: layout('Verify your email address', lines, { url, label: 'Verify email' })
+  };
+};
+
+const passwordChangedEmail = ({ name }) => {
+  const lines = [
+    `Hi ${name},`,
+    'The password for your account was just changed and you have been signed out of other devices.',
+    'If this was not you, reset your password immediately.'
+  ];
+  return {
+    subject: 'Your password was changed',
+    text: lines.join('\n\n'),
+    html: layout('Your password was changed', lines)
+  };
+};
+
+const backInStockEmail = ({ name, productName, url }) => {
+  const lines = [
+    `Hi ${name},`,
+    `Good news: ${productName} is back in stock.`,
+    'Stock is limited, so it may sell out again soon.'
+  ];
+  return {
+    subject: `${productName} is back in stock`,
+    text: `${lines.join('\n\n')}\n\n${url}`,
+    html: layout(`${productName} is back in stock`, lines, { url, label: 'View product' })
+  };
+};
+
+const lowStockEmail = ({ productName, sku, stock, threshold }) => {
+  const lines = [
+    `${productName}${sku ? ` (SKU ${sku})` : ''} is running low.`,
+    `Only ${stock} left in stock; the low-stock threshold is ${threshold}.`
+  ];
+  return {
+    subject: `Low stock: ${productName}`,
+    text: lines.join('\n\n'),
+    html: layout(`Low stock: ${productName}`, lines)
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  passwordResetEmail,
+  emailVerificationEmail,
+  passwordChangedEmail,
+  backInStockEmail,
+  lowStockEmail
+};
@@ -0,0 +1,224 @@
+const StockSubscription = require('../models/stockSubscription.model');
+const Product = require('../models/product.model');
+const User = require('../models/user.model');
+const { sendMail, templates } = require('./mailer');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:4200';
+const LOW_STOCK_ALERT_EMAIL = process.env.LOW_STOCK_ALERT_EMAIL;
+// A subscription still 'queued' this long after it was claimed is assumed lost (the process
+// restarted with its email still in the in-memory queue) and is queued again
+const NOTIFICATION_RETRY_MINUTES = Number(process.env.NOTIFICATION_RETRY_MINUTES || 10);
+const NOTIFICATION_SWEEP_SECONDS = Number(process.env.NOTIFICATION_SWEEP_SECONDS || 300);
+const SWEEP_BATCH_SIZE = 500;
+
+// In-process queue of outgoing notifications. Jobs run one at a time after the
+// request that queued them has been answered, so a slow mail server never
+// holds up the API.
+const queue = [];
+let draining = false;
+
+const drain = async () => {
+  draining = true;
+  while (queue.length) {
+    const job = queue.shift();
+    try {
+      await job();
+    } catch (error) {
+      console.error('Notification job failed:', error);
+    }
+  }
+  draining = false;
+};
+
+const enqueue = (job) => {
+  queue.push(job);
+  if (!draining) setImmediate(drain);
+};
+
+// Subscriptions with an email waiting in this process's queue, so the recovery sweep skips them
+const pendingSubscriptions = new Set();
+
+// Compare a snapshot with the saved product and list the subscription targets that came back
+// into stock: null for the product as a whole, otherwise a variant id
+const findRestockedTargets = (before, product) => {
+  const targets = [];
+  if (before.stock <= 0 && product.stock > 0) targets.push(null);
+
+  (product.variants || []).forEach(variant => {
+    const previous = before.variants.get(variant._id.toString());
+    if (variant.isActive && variant.stock > 0 && (previous === undefined || previous.stock <= 0)) {
+      targets.push(variant._id);
+    }
+  });
+  return targets;
+};
+
+// Email one subscriber, then mark the subscription notified (or reopen it if sending fails)
+const sendBackInStockEmail = async (subscription, product) => {
+  const user = await User.findById(subscription.user).select('name email isActive');
+  if (!user || !user.isActive) {
+    await StockSubscription.updateOne({ _id: subscription._id }, { $set: { status: 'cancelled' } });
+    return;
+  }
+
+  const variant = subscription.variant && product.variants.id(subscription.variant);
+  const options = variant ? ` (${[...variant.options.values()].join(', ')})` : '';
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...templates.backInStockEmail({
+        name: user.name,
+        productName: `${product.name}${options}`,
+        url: `${FRONTEND_URL}/products/${product._id}`
+      })
+    });
+    await StockSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { status: 'notified', notifiedAt: new Date() }, $unset: { lastError: '' } }
+    );
+  } catch (error) {
+    await StockSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { status: 'active', lastError: error.message } }
+    );
+    throw error;
+  }
+};
+
+// Put one claimed subscription's email on the in-process queue
+const queueBackInStockEmail = (subscription, product) => {
+  const id = subscription._id.toString();
+  pendingSubscriptions.add(id);
+  enqueue(async () => {
+    try {
+      await sendBackInStockEmail(subscription, product);
+    } finally {
+      pendingSubscriptions.delete(id);
+    }
+  });
+};
+
+// Queue back-in-stock emails for every subscriber whose product or variant was restocked.
+// `before` comes from inventory.service's snapshotStock(), taken before the change. Returns how many were queued.
+const queueBackInStockNotifications = async (product, before) => {
+  const targets = findRestockedTargets(before, product);
+  if (!targets.length) return 0;
+
+  const candidates = await StockSubscription.find({
+    product: product._id,
+    variant: { $in: targets },
+    status: 'active'
+  }).select('_id');
+
+  let queued = 0;
+  for (const candidate of candidates) {
+    // Claim each subscription so concurrent restocks never email twice
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { _id: candidate._id, status: 'active' },
+      { $set: { status: 'queued', queuedAt: new Date() } },
+      { new: true }
+    );
+    if (!subscription) continue;
+
+    queueBackInStockEmail(subscription, product);
+    queued += 1;
+  }
+  return queued;
+};
+
+// Whether a subscription's product (or variant) can be bought right now
+const isBackInStock = (product, variantId) => {
+  if (!product || !product.isActive) return false;
+  if (!variantId) return product.stock > 0;
+  const variant = product.variants.id(variantId);
+  return Boolean(variant && variant.isActive && variant.stock > 0);
+};
+
+/**
+ * Queue again the back-in-stock emails claimed more than NOTIFICATION_RETRY_MINUTES ago and
+ * never sent. Subscriptions whose product sold out again go back to waiting for the next
+ * restock. Resolves with how many were queued.
+ */
+const requeueStaleNotifications = async () => {
+  const cutoff = new Date(Date.now() - NOTIFICATION_RETRY_MINUTES * 60 * 1000);
+  const stale = await StockSubscription.find({ status: 'queued', queuedAt: { $lte: cutoff } })
+    .select('_id')
+    .limit(SWEEP_BATCH_SIZE);
+
+  let requeued = 0;
+  for (const candidate of stale) {
+    if (pendingSubscriptions.has(candidate._id.toString())) continue;
+
+    // Re-claim it so two instances running the sweep never both send
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { _id: candidate._id, status: 'queued', queuedAt: { $lte: cutoff } },
+      { $set: { queuedAt: new Date() } },
+      { new: true }
+    );
+    if (!subscription) continue;
+
+    const product = await Product.findById(subscription.product);
+    if (!isBackInStock(product, subscription.variant)) {
+      try {
+        await StockSubscription.updateOne({ _id: subscription._id }, { $set: { status: 'active' } });
+      } catch (error) {
+        // The customer subscribed again meanwhile; that newer subscription stands in for this one
+        if (error.code !== 11000) throw error;
+        await StockSubscription.updateOne({ _id: subscription._id }, { $set: { status: 'cancelled' } });
+      }
+      continue;
+    }
+
+    queueBackInStockEmail(subscription, product);
+    requeued += 1;
+  }
+  return requeued;
+};
+
+// Recover lost back-in-stock emails at startup and then every NOTIFICATION_SWEEP_SECONDS.
+// Sweeps never overlap, and the timer doesn't keep the process alive on shutdown.
+const startNotificationRecovery = () => {
+  let sweeping = false;
+  const sweep = async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      const requeued = await requeueStaleNotifications();
+      if (requeued) console.log(`📬 Re-queued ${requeued} back-in-stock email(s)`);
+    } catch (error) {
+      console.error('Error re-queuing back-in-stock emails:', error);
+    } finally {
+      sweeping = false;
+    }
+  };
+  sweep();
+  const timer = setInterval(sweep, NOTIFICATION_SWEEP_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+// Email LOW_STOCK_ALERT_EMAIL (when set) that a product or variant fell to its low-stock threshold
+const queueLowStockAlert = (product, variant, stock) => {
+  if (!LOW_STOCK_ALERT_EMAIL) return;
+
+  const options = variant ? ` (${[...variant.options.values()].join(', ')})` : '';
+  enqueue(() => sendMail({
+    to: LOW_STOCK_ALERT_EMAIL,
+    ...templates.lowStockEmail({
+      productName: `${product.name}${options}`,
+      sku: variant ? variant.sku : undefined,
+      stock,
+      threshold: product.getLowStockThreshold()
+    })
+  }));
+};
+
+module.exports = {
+  enqueue,
+  findRestockedTargets,
+  queueBackInStockNotifications,
+  queueLowStockAlert,
+  requeueStaleNotifications,
+  startNotificationRecovery
+};
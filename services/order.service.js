@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const User = require('../models/user.model');
+const { pickAddressFields, toAddressSnapshot } = require('../models/address.schema');
+const { restoreStock } = require('./inventory.service');
+const { reserveStock, releaseOrderReservations, commitOrderReservations } = require('./reservation.service');
+const { findCouponByCode, evaluateCoupon, redeemCoupon, releaseCoupon } = require('./coupon.service');
+const { priceProductLines } = require('./pricing.service');
+const { assignInvoiceNumber } = require('./invoice.service');
+const createHttpError = require('../utils/httpError');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Combine duplicate lines and check their shape ({ productId, variantId, quantity })
+const normalizeLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw createHttpError(400, 'Order must contain at least one item');
+  }
+
+  const merged = new Map();
+  for (const line of lines) {
+    const productId = line && (line.productId || line.product);
+    const variantId = line && (line.variantId || line.variant);
+    const quantity = Number(line && line.quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      throw createHttpError(400, 'Invalid product ID in order items');
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      throw createHttpError(400, 'Invalid variant ID in order items');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, 'Quantity must be a positive whole number');
+    }
+
+    const key = `${productId}:${variantId || ''}`;
+    const existing = merged.get(key);
+    merged.set(key, {
+      productId: productId.toString(),
+      variantId: variantId ? variantId.toString() : undefined,
+      quantity: (existing ? existing.quantity : 0) + quantity
+    });
+  }
+
+  return [...merged.values()];
+};
+
+// Pick one address for an order: a saved address by id, an inline address, or the user's default
+const resolveAddress = (user, type, addressId, inline) => {
+  if (addressId) {
+    const saved = mongoose.Types.ObjectId.isValid(addressId) && user.addresses.id(addressId);
+    if (!saved) throw createHttpError(400, `${type === 'billing' ? 'Billing' : 'Shipping'} address not found`);
+    return toAddressSnapshot(saved);
+  }
+  if (inline && typeof inline === 'object') return pickAddressFields(inline);
+
+  const fallback = user.getDefaultAddress(type);
+  return fallback ? toAddressSnapshot(fallback) : null;
+};
+
+// Work out the shipping and billing address snapshots for a checkout request.
+// Billing falls back to the default billing address, then to the shipping address.
+const resolveOrderAddresses = async (userId, { shippingAddressId, shippingAddress, billingAddressId, billingAddress } = {}) => {
+  const user = await User.findById(userId).select('addresses');
+  if (!user) throw createHttpError(404, 'User not found');
+
+  const shipping = resolveAddress(user, 'shipping', shippingAddressId, shippingAddress);
+  if (!shipping) throw createHttpError(400, 'Shipping address is required');
+
+  const billing = resolveAddress(user, 'billing', billingAddressId, billingAddress) || shipping;
+  return { shippingAddress: shipping, billingAddress: billing };
+};
+
+// Turn a line list into an order: snapshot each product and address, apply any coupon,
+// reserve the stock until payment and record the coupon use, then save
+const createOrder = async (userId, lines, { shippingAddress, billingAddress, couponCode } = {}) => {
+  const normalized = normalizeLines(lines);
+  if (!shippingAddress) throw createHttpError(400, 'Shipping address is required');
+
+  const products = await Product.find({ _id: { $in: normalized.map(line => line.productId) } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = normalized.map(({ productId, variantId, quantity }) => {
+    const product = productMap.get(productId);
+    if (!product || !product.isActive) {
+      throw createHttpError(400, 'One or more products are no longer available', { productId });
+    }
+
+    const purchase = product.resolvePurchase(variantId);
+    if (purchase.error) {
+      throw createHttpError(400, purchase.error, { productId, variantId });
+    }
+    if (purchase.stock < quantity) {
+      throw createHttpError(409, `Insufficient stock for ${product.name}`, { productId, variantId });
+    }
+
+    return {
+      product: product._id,
+      variant: purchase.variant ? purchase.variant._id : undefined,
+      sku: purchase.sku,
+      options: purchase.options,
+      name: product.name,
+      price: purchase.price,
+      image: purchase.image,
+      quantity,
+      subtotal: roundMoney(purchase.price * quantity)
+    };
+  });
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  // Re-check the coupon against the live rules; the cart may have been priced earlier
+  let coupon;
+  let breakdown;
+  if (couponCode) {
+    coupon = await findCouponByCode(couponCode);
+    breakdown = await evaluateCoupon(coupon, {
+      userId,
+      subtotal,
+      lines: items.map((item, index) => ({
+        key: index,
+        product: item.product,
+        category: productMap.get(item.product.toString()).category,
+        subtotal: item.subtotal
+      }))
+    });
+    breakdown.lines.forEach(line => { items[line.key].discount = line.discount; });
+  }
+
+  // GST per line and shipping, with the place of supply taken from the shipping address
+  const totals = await priceProductLines(
+    items.map((item, index) => ({
+      key: index,
+      product: productMap.get(item.product.toString()),
+      unitPrice: item.price,
+      quantity: item.quantity,
+      discount: item.discount || 0
+    })),
+    { shippingState: shippingAddress.stateCode || shippingAddress.state }
+  );
+  totals.lines.forEach(({ key, hsnCode, gstRate, taxableValue, cgst, sgst, igst, tax, total }) => {
+    Object.assign(items[key], { hsnCode: hsnCode || undefined, gstRate, taxableValue, cgst, sgst, igst, tax, total });
+  });
+
+  const orderId = new mongoose.Types.ObjectId();
+
+  // Stock is only held here; payment turns the hold into a sale (see transitionOrderStatus)
+  const reservationExpiresAt = await reserveStock(items, { order: orderId, user: userId });
+
+  if (coupon) {
+    try {
+      await redeemCoupon(coupon, userId, orderId);
+    } catch (error) {
+      await releaseOrderReservations(orderId, 'order-failed');
+      throw error;
+    }
+  }
+
+  try {
+    return await Order.create({
+      _id: orderId,
+      user: userId,
+      items,
+      itemCount,
+      subtotal,
+      ...(coupon && { coupon: { coupon: coupon._id, code: coupon.code, type: coupon.type, value: coupon.value } }),
+      discount: totals.discount,
+      shipping: totals.shipping,
+      tax: {
+        pricesIncludeTax: totals.pricesIncludeTax,
+        interState: totals.interState,
+        sellerState: totals.seller.state,
+        sellerStateCode: totals.seller.stateCode,
+        sellerGstin: totals.seller.gstin || undefined,
+        placeOfSupply: totals.placeOfSupply && totals.placeOfSupply.state,
+        placeOfSupplyCode: totals.placeOfSupply && totals.placeOfSupply.stateCode,
+        taxableValue: totals.taxableValue,
+        ...totals.tax,
+        breakdown: totals.taxBreakdown
+      },
+      total: totals.total,
+      shippingAddress,
+      billingAddress: billingAddress || shippingAddress,
+      status: 'pending',
+      statusHistory: [{ status: 'pending', changedBy: userId }],
+      stockDeducted: false,
+      reservationExpiresAt
+    });
+  } catch (error) {
+    await releaseOrderReservations(orderId, 'order-failed');
+    if (coupon) await releaseCoupon(coupon._id, userId, orderId);
+    throw error;
+  }
+};
+
+const STATUS_TIMESTAMPS = {
+  paid: 'paidAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt'
+};
+
+// Move an order along its lifecycle. Paying turns the checkout reservation into a sale;
+// cancelling lets go of the reservation, or puts stock back when goods never left the warehouse.
+// The move is claimed with one conditional update before any stock or coupon is touched, so
+// when two requests race (say a cancel and a refund) only the first goes through and the
+// other gets a 409; stock and coupon uses are never given back twice.
+// If payment arrives after the reservation lapsed and the stock has gone, a 409 is thrown.
+// Resolves with the updated order.
+const transitionOrderStatus = async (order, status, { changedBy, note } = {}) => {
+  if (!Order.STATUSES.includes(status)) {
+    throw createHttpError(400, `Status must be one of: ${Order.STATUSES.join(', ')}`);
+  }
+
+  if (!order.canTransitionTo(status)) {
+    throw createHttpError(409, `Cannot change order status from ${order.status} to ${status}`);
+  }
+
+  const previousStatus = order.status;
+  // Orders placed before reservations existed took their stock up front (stockDeducted unset)
+  const stockTaken = order.stockDeducted !== false;
+  const shouldRestock = stockTaken &&
+    (status === 'cancelled' || (status === 'refunded' && previousStatus === 'paid'));
+  // A cancelled order doesn't count towards coupon limits
+  const shouldReleaseCoupon = status === 'cancelled' && Boolean(order.coupon);
+
+  const now = new Date();
+  const filter = { _id: order._id, status: previousStatus };
+  const update = {
+    $set: { status, [STATUS_TIMESTAMPS[status]]: now },
+    $push: { statusHistory: { status, changedBy, note, changedAt: now } }
+  };
+  if (shouldRestock) {
+    filter.stockRestored = { $ne: true };
+    update.$set.stockRestored = true;
+  }
+  if (shouldReleaseCoupon) {
+    filter.couponReleased = { $ne: true };
+    update.$set.couponReleased = true;
+  }
+
+  const claimed = await Order.findOneAndUpdate(filter, update, { new: true });
+  if (!claimed) {
+    throw createHttpError(409, 'Order was changed by another request; reload it and try again');
+  }
+
+  if (status === 'paid' && !stockTaken) {
+    try {
+      await commitOrderReservations(claimed, { user: changedBy });
+    } catch (error) {
+      // Put the order back as it was so the payment can be dealt with
+      await Order.updateOne(
+        { _id: claimed._id, status },
+        { $set: { status: previousStatus }, $unset: { [STATUS_TIMESTAMPS[status]]: '' }, $pop: { statusHistory: 1 } }
+      );
+      throw error;
+    }
+    await Order.updateOne({ _id: claimed._id }, { $set: { stockDeducted: true } });
+    claimed.stockDeducted = true;
+  }
+  if (status === 'cancelled' && !stockTaken) {
+    await releaseOrderReservations(claimed._id, 'cancelled');
+  }
+
+  if (shouldRestock) {
+    await restoreStock(claimed.items, {
+      reason: status === 'refunded' ? 'return' : 'cancellation',
+      user: changedBy,
+      order: claimed._id,
+      note
+    });
+  }
+
+  if (shouldReleaseCoupon) {
+    await releaseCoupon(claimed.coupon.coupon, claimed.user, claimed._id);
+  }
+
+  // Payment is the point of sale, so that is when the invoice number is issued
+  // (if another request is already numbering it, that one finishes the job)
+  if (status === 'paid') await assignInvoiceNumber(claimed, { wait: false });
+  return claimed;
+};
+
+module.exports = {
+  resolveOrderAddresses,
+  createOrder,
+  transitionOrderStatus
+};
@@ -0,0 +1,52 @@
+const PaymentProvider = require('./paymentProvider');
+const MockPaymentProvider = require('./mockProvider');
+
+// Provider factories by name; real gateways (Razorpay, Stripe) register here
+const factories = {
+  mock: () => new MockPaymentProvider()
+};
+
+const instances = {};
+
+// Register a provider factory, e.g. registerPaymentProvider('razorpay', () => new RazorpayProvider())
+const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+// Fail fast on a production boot with no PAYMENT_PROVIDER: the mock default would mark orders
+// paid without taking any money. Running the mock on purpose still needs its webhook secret.
+const assertPaymentsConfigured = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  const production = process.env.NODE_ENV === 'production';
+  if (!name && production) {
+    throw new Error('PAYMENT_PROVIDER must be set in production');
+  }
+  if (name && !factories[name]) throw new Error(`Unknown payment provider: ${name}`);
+  if (name === 'mock' && production && !process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock provider in production');
+  }
+};
+
+// Get a provider by name, defaulting to PAYMENT_PROVIDER or the mock gateway
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  if (!instances[name]) {
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown payment provider: ${name}`);
+
+    const provider = factory();
+    if (!(provider instanceof PaymentProvider)) {
+      throw new Error(`Payment provider ${name} must extend PaymentProvider`);
+    }
+    instances[name] = provider;
+  }
+  return instances[name];
+};
+
+module.exports = {
+  PaymentProvider,
+  MockPaymentProvider,
+  registerPaymentProvider,
+  getPaymentProvider,
+  assertPaymentsConfigured
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const createHttpError = require('../../utils/httpError');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 24);
+
+// Offline provider for development and tests. Every id is derived from its
+// inputs, so the same order and amount always produce the same intent, and
+// webhooks are signed with HMAC-SHA256 like real gateways do.
+class MockPaymentProvider extends PaymentProvider {
+  constructor({ webhookSecret } = {}) {
+    super('mock');
+    // No built-in default: a secret everyone knows would let anyone forge payment events
+    this.webhookSecret = webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  }
+
+  hmac(value) {
+    if (!this.webhookSecret) throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+    return crypto.createHmac('sha256', this.webhookSecret).update(value).digest('hex');
+  }
+
+  async createPaymentIntent({ amount, currency = 'INR', orderId }) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw createHttpError(400, 'Amount must be a positive integer in the smallest currency unit');
+    }
+
+    const id = `pi_mock_${hash(`${orderId}:${amount}:${currency}`)}`;
+    return {
+      id,
+      status: 'requires_capture',
+      amount,
+      currency,
+      clientSecret: `${id}_secret_${hash(`secret:${id}`)}`
+    };
+  }
+
+  async capturePayment(intentId, amount) {
+    return { id: intentId, status: 'succeeded', amount };
+  }
+
+  async refundPayment(intentId, amount) {
+    return { id: `re_mock_${hash(`${intentId}:${amount}`)}`, status: 'succeeded', amount };
+  }
+
+  // Sign a payload the way the mock gateway would, for local tooling and tests
+  signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const signature = this.hmac(`${timestamp}.${body}`);
+    return { body, header: `t=${timestamp},v1=${signature}` };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header) throw new Error('Missing webhook signature');
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) throw new Error('Malformed webhook signature');
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature timestamp outside tolerance');
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const expected = this.hmac(`${timestamp}.${body}`);
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const actualBuffer = Buffer.from(parts.v1, 'hex');
+    if (expectedBuffer.length !== actualBuffer.length || !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(body);
+  }
+}
+
+module.exports = MockPaymentProvider;
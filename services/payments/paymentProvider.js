@@ -0,0 +1,30 @@
+// Base class every payment provider implements. Amounts are passed in the
+// smallest currency unit (paise for INR), as payment gateways expect.
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Create a payment intent for an order: resolves to { id, status, amount, currency, clientSecret }
+  async createPaymentIntent({ amount, currency, orderId, metadata }) {
+    throw new Error(`${this.name} provider does not implement createPaymentIntent`);
+  }
+
+  // Capture an authorised intent: resolves to { id, status, amount }
+  async capturePayment(intentId, amount) {
+    throw new Error(`${this.name} provider does not implement capturePayment`);
+  }
+
+  // Refund a captured intent, fully or partially: resolves to { id, status, amount }
+  async refundPayment(intentId, amount) {
+    throw new Error(`${this.name} provider does not implement refundPayment`);
+  }
+
+  // Check a webhook signature against the raw body and return the parsed event
+  // ({ id, type, data: { intentId, amount } }); throws if the signature is invalid
+  verifyWebhookSignature(rawBody, headers) {
+    throw new Error(`${this.name} provider does not implement verifyWebhookSignature`);
+  }
+}
+
+module.exports = PaymentProvider;
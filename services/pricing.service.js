@@ -0,0 +1,189 @@
+const Category = require('../models/category.model');
+const { findState } = require('../config/indianStates');
+const {
+  SELLER_STATE,
+  SELLER_GSTIN,
+  PRICES_INCLUDE_GST,
+  DEFAULT_GST_RATE,
+  SHIPPING_GST_RATE,
+  SHIPPING_RATE_BASIS,
+  SHIPPING_TIERS
+} = require('../config/pricing');
+
+// Everything below is worked out in whole paise and only converted back to rupees at the end
+const toPaise = (amount) => Math.round(Number(amount || 0) * 100);
+const fromPaise = (paise) => paise / 100;
+
+// Find the HSN code and GST rate for each product: the product's own values first, then the
+// nearest category up the tree that sets them, then DEFAULT_GST_RATE. Keyed by product id.
+const resolveTaxRates = async (products) => {
+  const categories = await Category.find().select('slug parent hsnCode gstRate').lean();
+  const bySlug = new Map(categories.map(category => [category.slug, category]));
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+
+  const rates = new Map();
+  products.forEach(product => {
+    let hsnCode = product.hsnCode;
+    let gstRate = product.gstRate;
+    let category = bySlug.get(product.category);
+    const seen = new Set();
+
+    while (category && (hsnCode === undefined || gstRate === undefined) && !seen.has(String(category._id))) {
+      seen.add(String(category._id));
+      if (hsnCode === undefined && category.hsnCode) hsnCode = category.hsnCode;
+      if (gstRate === undefined && category.gstRate !== undefined && category.gstRate !== null) gstRate = category.gstRate;
+      category = category.parent ? byId.get(String(category.parent)) : null;
+    }
+
+    rates.set(String(product._id), {
+      hsnCode: hsnCode || null,
+      gstRate: gstRate === undefined || gstRate === null ? DEFAULT_GST_RATE : gstRate
+    });
+  });
+  return rates;
+};
+
+// Tax contained in (inclusive) or added to (exclusive) an amount, in paise
+const taxOn = (amountPaise, rate, inclusive) => {
+  if (inclusive) {
+    const taxable = Math.round(amountPaise * 100 / (100 + rate));
+    return { taxable, tax: amountPaise - taxable };
+  }
+  return { taxable: amountPaise, tax: Math.round(amountPaise * rate / 100) };
+};
+
+// Split tax into CGST + SGST for a sale within the seller's state, otherwise IGST
+const splitTax = (taxPaise, interState) => {
+  if (interState) return { cgst: 0, sgst: 0, igst: taxPaise };
+  const cgst = Math.floor(taxPaise / 2);
+  return { cgst, sgst: taxPaise - cgst, igst: 0 };
+};
+
+// Shipping charge from the configured tiers, in paise. Order-value tiers look at goods
+// after discount; weight tiers at the total weight in grams.
+const calculateShipping = ({ goodsValuePaise, weight }) => {
+  if (goodsValuePaise <= 0) return { basis: SHIPPING_RATE_BASIS, weight, charge: 0 };
+
+  const tiers = SHIPPING_TIERS[SHIPPING_RATE_BASIS];
+  const measure = SHIPPING_RATE_BASIS === 'weight' ? weight : fromPaise(goodsValuePaise);
+  const tier = tiers.find(entry => entry.upTo === null || entry.upTo === undefined || measure <= entry.upTo) ||
+    tiers[tiers.length - 1];
+
+  return { basis: SHIPPING_RATE_BASIS, weight, charge: toPaise(tier.charge) };
+};
+
+const sumTaxes = (entries) => entries.reduce((sum, entry) => ({
+  cgst: sum.cgst + entry.cgst,
+  sgst: sum.sgst + entry.sgst,
+  igst: sum.igst + entry.igst
+}), { cgst: 0, sgst: 0, igst: 0 });
+
+const toRupees = (entry, keys) => {
+  const result = { ...entry };
+  keys.forEach(key => { result[key] = fromPaise(entry[key]); });
+  return result;
+};
+
+// Work out GST and shipping for a set of lines:
+//   { key, unitPrice, quantity, discount, hsnCode, gstRate, weight }
+// `shippingState` (name or GST code) is the place of supply; without one the split is
+// estimated as an in-state sale. All amounts in the result are rupees.
+const calculateTotals = ({ lines, shippingState, pricesIncludeTax = PRICES_INCLUDE_GST }) => {
+  const placeOfSupply = shippingState ? findState(shippingState) : null;
+  const interState = Boolean(placeOfSupply) && placeOfSupply.code !== SELLER_STATE.code;
+
+  let weight = 0;
+  const pricedLines = lines.map(line => {
+    const gross = toPaise(line.unitPrice) * line.quantity;
+    const discount = Math.min(toPaise(line.discount), gross);
+    const net = gross - discount;
+    const { taxable, tax } = taxOn(net, line.gstRate, pricesIncludeTax);
+    weight += (line.weight || 0) * line.quantity;
+
+    return {
+      key: line.key,
+      hsnCode: line.hsnCode,
+      gstRate: line.gstRate,
+      gross,
+      discount,
+      taxableValue: taxable,
+      ...splitTax(tax, interState),
+      tax,
+      total: pricesIncludeTax ? net : net + tax
+    };
+  });
+
+  const subtotal = pricedLines.reduce((sum, line) => sum + line.gross, 0);
+  const discount = pricedLines.reduce((sum, line) => sum + line.discount, 0);
+  const taxableValue = pricedLines.reduce((sum, line) => sum + line.taxableValue, 0);
+  const goodsTotal = pricedLines.reduce((sum, line) => sum + line.total, 0);
+
+  const shippingCharge = calculateShipping({ goodsValuePaise: subtotal - discount, weight });
+  const shippingTax = taxOn(shippingCharge.charge, SHIPPING_GST_RATE, pricesIncludeTax);
+  const shipping = {
+    ...shippingCharge,
+    gstRate: SHIPPING_GST_RATE,
+    taxableValue: shippingTax.taxable,
+    ...splitTax(shippingTax.tax, interState),
+    tax: shippingTax.tax,
+    total: pricesIncludeTax ? shippingCharge.charge : shippingCharge.charge + shippingTax.tax
+  };
+
+  // One row per HSN code and rate, as an invoice's tax summary needs
+  const groups = new Map();
+  pricedLines.forEach(line => {
+    const groupKey = `${line.hsnCode || ''}:${line.gstRate}`;
+    const group = groups.get(groupKey) ||
+      { hsnCode: line.hsnCode, gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+    ['taxableValue', 'cgst', 'sgst', 'igst', 'tax'].forEach(key => { group[key] += line[key]; });
+    groups.set(groupKey, group);
+  });
+
+  const goodsTaxes = sumTaxes(pricedLines);
+  const taxes = sumTaxes([goodsTaxes, shipping]);
+  const money = ['taxableValue', 'cgst', 'sgst', 'igst', 'tax'];
+
+  return {
+    pricesIncludeTax,
+    interState,
+    estimated: !placeOfSupply,
+    seller: { state: SELLER_STATE.name, stateCode: SELLER_STATE.code, gstin: SELLER_GSTIN },
+    placeOfSupply: placeOfSupply ? { state: placeOfSupply.name, stateCode: placeOfSupply.code } : null,
+    lines: pricedLines.map(line => toRupees(line, ['gross', 'discount', 'total', ...money])),
+    subtotal: fromPaise(subtotal),
+    discount: fromPaise(discount),
+    taxableValue: fromPaise(taxableValue + shipping.taxableValue),
+    shipping: toRupees(shipping, ['charge', 'total', ...money]),
+    tax: {
+      cgst: fromPaise(taxes.cgst),
+      sgst: fromPaise(taxes.sgst),
+      igst: fromPaise(taxes.igst),
+      total: fromPaise(taxes.cgst + taxes.sgst + taxes.igst)
+    },
+    taxBreakdown: [...groups.values()].map(group => toRupees(group, money)),
+    total: fromPaise(goodsTotal + shipping.total)
+  };
+};
+
+// Price lines that carry their product document ({ key, product, unitPrice, quantity, discount }):
+// looks up each product's HSN code and rate, then runs calculateTotals
+const priceProductLines = async (lines, { shippingState } = {}) => {
+  const rates = await resolveTaxRates(lines.map(line => line.product));
+  return calculateTotals({
+    shippingState,
+    lines: lines.map(({ product, ...line }) => ({
+      ...line,
+      ...rates.get(String(product._id)),
+      weight: product.weight || 0
+    }))
+  });
+};
+
+module.exports = {
+  toPaise,
+  fromPaise,
+  resolveTaxRates,
+  calculateShipping,
+  calculateTotals,
+  priceProductLines
+};
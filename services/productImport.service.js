@@ -0,0 +1,445 @@
+const Product = require('../models/product.model');
+const createHttpError = require('../utils/httpError');
+const { parseCsv, rowsToRecords } = require('../utils/csv');
+const { parseVariantInput, checkNewProductInput, toProductData, applyImageUrl } = require('../utils/productInput');
+const {
+  snapshotStock,
+  recordStockEdits,
+  adjustStock,
+  prepareVariantEdit,
+  replaceVariants
+} = require('./inventory.service');
+const { queueBackInStockNotifications } = require('./notification.service');
+
+// Columns written by export and read by import, in spreadsheet order. `options` and
+// `variants` hold the same JSON arrays createProduct accepts. On an update, leaving either
+// out (or empty) keeps what the product has; `[]` clears it.
+const PRODUCT_COLUMNS = [
+  'name', 'description', 'price', 'image', 'category', 'brand', 'stock',
+  'hsnCode', 'gstRate', 'weight', 'lowStockThreshold', 'options', 'variants'
+];
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_MODES = ['all-or-nothing', 'partial'];
+const MATCH_FIELDS = ['sku', 'name'];
+const MAX_IMPORT_ROWS = 2000;
+
+const nameKey = (name) => String(name || '').trim().toLowerCase();
+
+// Read import records from CSV or JSON text. JSON may be an array or { products: [...] }.
+const readImportRecords = (text, format) => {
+  if (format === 'csv') {
+    try {
+      return rowsToRecords(parseCsv(text));
+    } catch (error) {
+      throw createHttpError(400, `Invalid CSV: ${error.message}`);
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw createHttpError(400, 'Invalid JSON file');
+  }
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+  if (!Array.isArray(records)) throw createHttpError(400, 'JSON must be an array of products or { "products": [...] }');
+  return records;
+};
+
+// The import record for a product: the inverse of what an import row turns into
+const toImportRecord = (product) => {
+  const hasVariants = product.variants && product.variants.length > 0;
+  return {
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    image: product.image,
+    category: product.category,
+    brand: product.brand,
+    stock: hasVariants ? undefined : product.stock,
+    hsnCode: product.hsnCode,
+    gstRate: product.gstRate,
+    weight: product.weight,
+    lowStockThreshold: product.lowStockThreshold,
+    options: product.options && product.options.length
+      ? product.options.map(option => ({ name: option.name, values: option.values }))
+      : undefined,
+    variants: hasVariants
+      ? product.variants.map(variant => ({
+        sku: variant.sku,
+        options: Object.fromEntries(variant.options || []),
+        price: variant.price,
+        stock: variant.stock,
+        image: variant.image,
+        isActive: variant.isActive
+      }))
+      : undefined
+  };
+};
+
+// Load the products rows could match, by variant SKU and by name (case-insensitive)
+const loadMatchCandidates = async (records) => {
+  const skus = new Set();
+  const names = new Set();
+  records.forEach(record => {
+    if (record && typeof record === 'object') {
+      if (record.name) names.add(String(record.name).trim());
+      try {
+        const { variants } = parseVariantInput(record);
+        (variants || []).forEach(variant => skus.add(String(variant.sku || '').trim().toUpperCase()));
+      } catch (error) {
+        // Reported per row later
+      }
+    }
+  });
+
+  const [bySkuList, byNameList] = await Promise.all([
+    skus.size ? Product.find({ 'variants.sku': { $in: [...skus] } }) : [],
+    names.size ? Product.find({ name: { $in: [...names] } }).collation({ locale: 'en', strength: 2 }) : []
+  ]);
+
+  // One document per product so a row matched both ways edits the same object
+  const documents = new Map();
+  [...bySkuList, ...byNameList].forEach(product => {
+    if (!documents.has(product._id.toString())) documents.set(product._id.toString(), product);
+  });
+
+  const bySku = new Map();
+  const byName = new Map();
+  documents.forEach(product => {
+    product.variants.forEach(variant => bySku.set(variant.sku, product));
+    const key = nameKey(product.name);
+    byName.set(key, [...(byName.get(key) || []), product]);
+  });
+  return { bySku, byName };
+};
+
+// Find the existing product a row updates, or null when it creates one. With matchBy=sku a
+// row is matched through its variant SKUs, falling back to its name when it has no variants.
+const findRowTarget = (record, variants, matchBy, { bySku, byName }) => {
+  const skus = (variants || []).map(variant => String(variant.sku || '').trim().toUpperCase());
+
+  if (matchBy === 'sku' && skus.length) {
+    const owners = [...new Set(skus.map(sku => bySku.get(sku)).filter(Boolean))];
+    if (owners.length > 1) {
+      throw new Error(`SKUs ${skus.join(', ')} belong to more than one existing product`);
+    }
+    return owners[0] || null;
+  }
+
+  const named = byName.get(nameKey(record.name)) || [];
+  if (named.length > 1) throw new Error(`More than one existing product is named "${record.name}"`);
+  const target = named[0] || null;
+
+  // SKUs can't move between products through an import
+  skus.forEach(sku => {
+    const owner = bySku.get(sku);
+    if (owner && (!target || !owner._id.equals(target._id))) {
+      throw new Error(`SKU ${sku} already belongs to "${owner.name}"`);
+    }
+  });
+  return target;
+};
+
+const validationMessages = (error) => (error.name === 'ValidationError'
+  ? Object.values(error.errors).map(entry => entry.message)
+  : [error.message]);
+
+// Check one record and build (without saving) the product it creates or updates.
+// Row numbers count data rows from 1, so CSV row 1 is the line after the header.
+const prepareRow = async (record, index, matchBy, candidates, seen) => {
+  const result = { row: index + 1, name: record && record.name, errors: [] };
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    result.errors.push('Row must be an object of product fields');
+    return result;
+  }
+
+  const unknown = Object.keys(record).filter(key => !PRODUCT_COLUMNS.includes(key));
+  if (unknown.length) result.errors.push(`Unknown column(s): ${unknown.join(', ')}`);
+
+  let variantInput;
+  let target;
+  try {
+    // Empty options/variants cells count as left out, like the cells a CSV leaves blank
+    const isBlank = (value) => value === '' || value === null;
+    variantInput = parseVariantInput({
+      options: isBlank(record.options) ? undefined : record.options,
+      variants: isBlank(record.variants) ? undefined : record.variants
+    });
+    target = findRowTarget(record, variantInput.variants, matchBy, candidates);
+    // An update that leaves the variants column out keeps the product's variants, and their stock
+    const keepsVariants = Boolean(target) && variantInput.variants === undefined && target.hasVariants();
+    const hasVariants = keepsVariants || Boolean(variantInput.variants && variantInput.variants.length);
+    const invalid = checkNewProductInput(record, { hasVariants });
+    if (invalid) throw new Error(invalid);
+  } catch (error) {
+    result.errors.push(error.message);
+    return result;
+  }
+
+  // Two rows must not write the same product or the same SKU
+  const targetKey = target ? target._id.toString() : `new:${nameKey(record.name)}`;
+  if (seen.products.has(targetKey)) {
+    result.errors.push(`Row ${seen.products.get(targetKey)} already imports this product`);
+  }
+  (variantInput.variants || []).forEach(variant => {
+    const sku = String(variant.sku || '').trim().toUpperCase();
+    if (seen.skus.has(sku)) result.errors.push(`SKU ${sku} is also used in row ${seen.skus.get(sku)}`);
+  });
+  if (result.errors.length) return result;
+  seen.products.set(targetKey, result.row);
+  (variantInput.variants || []).forEach(variant => {
+    seen.skus.set(String(variant.sku || '').trim().toUpperCase(), result.row);
+  });
+
+  let product;
+  try {
+    if (target) {
+      result.action = 'update';
+      result.original = target.toObject();
+      product = await prepareUpdate(result, target, record, variantInput);
+    } else {
+      result.action = 'create';
+      product = new Product(toProductData(record, variantInput));
+      await product.validate();
+    }
+  } catch (error) {
+    result.errors.push(...validationMessages(error));
+  }
+  result.product = product || target;
+  return result;
+};
+
+// A stock level from the file: a whole number of at least 0
+const parseStockLevel = (value, label) => {
+  const stock = Number(value);
+  if (value === null || value === '' || !Number.isInteger(stock) || stock < 0) {
+    throw new Error(`${label} must be a whole number of at least 0`);
+  }
+  return stock;
+};
+
+// Plan an update row without saving: edit the scalar fields on the document, check the
+// variant edit, and list the stock levels to set. Stock and variants are written separately
+// (see applyUpdate) so sales and checkouts landing during the import are kept. Everything
+// applyUpdate would refuse is checked here, so a dry run reports the same errors.
+const prepareUpdate = async (result, target, record, variantInput) => {
+  const { image, stock, options, variants, ...fields } = toProductData(record, variantInput, target.variants);
+  const rowVariants = variantInput.variants;
+
+  // Clearing the variants also clears the options they were built on, unless the row gives new ones
+  if (rowVariants !== undefined || variantInput.options !== undefined) {
+    const editOptions = variantInput.options !== undefined || rowVariants.length ? variantInput.options : [];
+    result.variantEdit = await prepareVariantEdit(target, { options: editOptions, variants: rowVariants });
+  }
+
+  // Stock in the file is the level to set; new variants are given theirs by the variant edit
+  result.stockChanges = [];
+  if ((result.variantEdit || target).hasVariants()) {
+    if (record.stock !== undefined) {
+      throw new Error('Stock is managed per variant for this product; set it in the variants column');
+    }
+    (rowVariants || []).forEach((input, index) => {
+      if (input.stock === undefined) return;
+      const level = parseStockLevel(input.stock, `Stock of variant ${variants[index].sku}`);
+      if (target.variants.id(variants[index]._id)) {
+        result.stockChanges.push({ variantId: variants[index]._id, stock: level });
+      }
+    });
+  } else if (record.stock !== undefined) {
+    result.stockChanges.push({ variantId: null, stock: parseStockLevel(record.stock, 'Stock') });
+  }
+
+  target.set(fields);
+  if (image !== target.image) applyImageUrl(target, image);
+  await target.validate();
+  result.writtenFields = target.modifiedPaths().filter(path => !path.includes('.'));
+  return target;
+};
+
+// Save an update row: scalar fields, then variants, then stock. Each step is noted on the row
+// as it lands so rollbackRow can undo exactly what was written.
+const applyUpdate = async (row, user) => {
+  row.applied = { fields: false, variants: false, stock: [] };
+
+  await row.product.save();
+  row.applied.fields = true;
+
+  if (row.variantEdit) {
+    await replaceVariants(row.variantEdit, { user, note: 'Product import' });
+    row.applied.variants = true;
+  }
+
+  for (const change of row.stockChanges) {
+    const { movement } = await adjustStock(row.product._id, {
+      variantId: change.variantId || undefined,
+      stock: change.stock,
+      user,
+      note: 'Product import'
+    });
+    if (movement) row.applied.stock.push({ variantId: change.variantId, quantity: movement.quantity });
+  }
+
+  row.product = await Product.findById(row.product._id);
+};
+
+// Undo what an import row wrote. Stock goes back by the amounts the import changed it by (not to
+// the old level), and only the fields the import set are restored, so concurrent sales, reviews
+// and ratings stay. Every stock change is reversed through the ledger.
+const rollbackRow = async (row, user) => {
+  if (row.action === 'create') {
+    if (row.applied) await Product.deleteOne({ _id: row.product._id });
+    return;
+  }
+  if (!row.applied) return;
+
+  const steps = [];
+  [...row.applied.stock].reverse().forEach(change => steps.push(() => adjustStock(row.original._id, {
+    variantId: change.variantId || undefined,
+    quantity: -change.quantity,
+    user,
+    note: 'Import rolled back'
+  })));
+
+  if (row.applied.variants) {
+    steps.push(async () => {
+      const original = await prepareVariantEdit(Product.hydrate(row.original), {});
+      await replaceVariants(original, { user, note: 'Import rolled back' });
+    });
+  }
+
+  if (row.applied.fields && row.writtenFields.length) {
+    steps.push(() => {
+      const update = {};
+      row.writtenFields.forEach(field => {
+        const operator = row.original[field] === undefined ? '$unset' : '$set';
+        update[operator] = { ...update[operator], [field]: operator === '$unset' ? '' : row.original[field] };
+      });
+      return Product.updateOne({ _id: row.original._id }, update);
+    });
+  }
+
+  // A step that can't be undone (say the stock was sold meanwhile) doesn't stop the others
+  for (const step of steps) {
+    try {
+      await step();
+    } catch (error) {
+      console.error(`Error rolling back import row ${row.row}:`, error);
+    }
+  }
+};
+
+// Undo saved rows after a failed import, newest first
+const rollbackRows = async (rows, user) => {
+  for (const row of [...rows].reverse()) {
+    try {
+      await rollbackRow(row, user);
+    } catch (error) {
+      console.error(`Error rolling back import row ${row.row}:`, error);
+    }
+  }
+};
+
+/**
+ * Import product records (objects keyed by PRODUCT_COLUMNS). Every row is checked with the
+ * same rules as createProduct plus the schema, then created or updated (matched by variant
+ * SKU or by name). Options:
+ *   dryRun  - check only, save nothing
+ *   mode    - 'all-or-nothing' saves nothing unless every row is valid and saves cleanly;
+ *             'partial' saves the valid rows and reports the rest
+ *   matchBy - 'sku' or 'name'
+ * Resolves with { ok, summary }; ok is false when an all-or-nothing import was rejected.
+ */
+const importProducts = async (records, { dryRun = false, mode = 'all-or-nothing', matchBy = 'sku', user } = {}) => {
+  if (!IMPORT_MODES.includes(mode)) throw createHttpError(400, `Mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  if (!MATCH_FIELDS.includes(matchBy)) throw createHttpError(400, `matchBy must be one of: ${MATCH_FIELDS.join(', ')}`);
+  if (!records.length) throw createHttpError(400, 'The import has no rows');
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw createHttpError(400, `An import can have at most ${MAX_IMPORT_ROWS} rows; split the file`);
+  }
+
+  const candidates = await loadMatchCandidates(records);
+  const seen = { products: new Map(), skus: new Map() };
+  const rows = [];
+  for (let index = 0; index < records.length; index += 1) {
+    rows.push(await prepareRow(records[index], index, matchBy, candidates, seen));
+  }
+
+  const invalid = rows.filter(row => row.errors.length);
+  const rejected = mode === 'all-or-nothing' && invalid.length > 0;
+  const saved = [];
+
+  if (!dryRun && !rejected) {
+    for (const row of rows.filter(entry => !entry.errors.length)) {
+      try {
+        if (row.action === 'create') {
+          await row.product.save();
+          row.applied = true;
+        } else {
+          await applyUpdate(row, user);
+        }
+        saved.push(row);
+      } catch (error) {
+        row.errors.push(error.code === 11000 ? 'Variant SKU already exists' : validationMessages(error).join('; '));
+        if (mode === 'all-or-nothing') {
+          saved.push(row);
+          break;
+        }
+        // Leave nothing of a row that only partly saved
+        await rollbackRows([row], user);
+      }
+    }
+
+    if (mode === 'all-or-nothing' && rows.some(row => row.errors.length)) {
+      await rollbackRows(saved, user);
+      saved.length = 0;
+    }
+
+    // Opening stock for created rows and restock emails for updated rows that stayed saved;
+    // updates wrote their own ledger entries as they went
+    for (const row of saved) {
+      if (row.action === 'create') {
+        await recordStockEdits({ stock: 0, variants: new Map() }, row.product, {
+          reason: 'restock',
+          user,
+          note: 'Opening stock (import)'
+        });
+      } else {
+        queueBackInStockNotifications(row.product, snapshotStock(row.original))
+          .catch(error => console.error('Back-in-stock notification error:', error));
+      }
+    }
+  }
+
+  const savedRows = new Set(saved);
+  const failed = rows.filter(row => row.errors.length).length;
+  const summary = {
+    dryRun: Boolean(dryRun),
+    mode,
+    matchBy,
+    total: rows.length,
+    valid: rows.length - failed,
+    failed,
+    created: saved.filter(row => row.action === 'create').length,
+    updated: saved.filter(row => row.action === 'update').length,
+    rows: rows.map(row => ({
+      row: row.row,
+      name: row.name,
+      action: row.action,
+      status: row.errors.length ? 'failed' : (savedRows.has(row) ? 'saved' : (dryRun ? 'valid' : 'skipped')),
+      productId: row.product && (row.action === 'update' || savedRows.has(row)) ? row.product._id : undefined,
+      errors: row.errors.length ? row.errors : undefined
+    }))
+  };
+
+  return { ok: !(mode === 'all-or-nothing' && failed > 0), summary };
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  IMPORT_FORMATS,
+  readImportRecords,
+  toImportRecord,
+  importProducts
+};
@@ -0,0 +1,141 @@
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const Review = require('../models/review.model');
+const Coupon = require('../models/coupon.model');
+const Cart = require('../models/cart.model');
+const Wishlist = require('../models/wishlist.model');
+const StockSubscription = require('../models/stockSubscription.model');
+const StockMovement = require('../models/stockMovement.model');
+const createHttpError = require('../utils/httpError');
+const { deleteProductImageFiles } = require('./imageStorage.service');
+
+// How often scheduled products are checked for their launch time
+const PUBLISH_SWEEP_SECONDS = Number(process.env.PUBLISH_SWEEP_SECONDS || 60);
+
+// Statuses staff can set directly; archiving goes through archiveProduct
+const EDITABLE_STATUSES = ['draft', 'scheduled', 'published'];
+
+// Set a draft, scheduled or published status (not saved). Scheduling needs a future `publishAt`.
+const applyStatus = (product, { status, publishAt }) => {
+  if (!EDITABLE_STATUSES.includes(status)) {
+    throw createHttpError(400, `Status must be one of: ${EDITABLE_STATUSES.join(', ')}`);
+  }
+  if (status === 'scheduled') {
+    const date = publishAt ? new Date(publishAt) : null;
+    if (!date || isNaN(date)) throw createHttpError(400, 'publishAt must be a valid date to schedule a product');
+    if (date <= new Date()) throw createHttpError(400, 'publishAt must be in the future');
+    product.publishAt = date;
+  }
+  product.status = status;
+  return product;
+};
+
+// Move a product to draft, scheduled or published (not saved). Archived products have to be restored first.
+const setProductStatus = (product, { status, publishAt }) => {
+  if (product.status === 'archived') throw createHttpError(409, 'Product is archived; restore it first');
+  return applyStatus(product, { status, publishAt });
+};
+
+// Hide a product from customers in place of deleting it. Orders, reviews and carts that
+// point at it keep working; carts and wishlists already treat it as unavailable.
+const archiveProduct = async (productId, { user } = {}) => {
+  const product = await Product.findById(productId);
+  if (!product) throw createHttpError(404, 'Product not found');
+  if (product.status === 'archived') throw createHttpError(409, 'Product is already archived');
+
+  product.status = 'archived';
+  product.archivedBy = user;
+  await product.save();
+  return product;
+};
+
+// Bring an archived product back as published (default), draft or scheduled
+const restoreProduct = async (productId, { status = 'published', publishAt } = {}) => {
+  const product = await Product.findById(productId);
+  if (!product) throw createHttpError(404, 'Product not found');
+  if (product.status !== 'archived') throw createHttpError(409, 'Only archived products can be restored');
+
+  applyStatus(product, { status, publishAt });
+  await product.save();
+  return product;
+};
+
+// Records that stop a product from being purged, by kind. Coupons count because dropping
+// the product from a coupon's list could widen the coupon to the whole catalog.
+const findProductReferences = async (productId) => {
+  const [orders, reviews, coupons] = await Promise.all([
+    Order.countDocuments({ 'items.product': productId }),
+    Review.countDocuments({ product: productId }),
+    Coupon.countDocuments({ products: productId })
+  ]);
+  return { orders, reviews, coupons };
+};
+
+/**
+ * Permanently delete an archived product that no order, review or coupon references.
+ * Cart and wishlist lines, back-in-stock subscriptions and its stock ledger go with it.
+ * Archived products can't be bought, so no new order can start referencing it meanwhile.
+ */
+const purgeProduct = async (productId) => {
+  const product = await Product.findById(productId);
+  if (!product) throw createHttpError(404, 'Product not found');
+  if (product.status !== 'archived') throw createHttpError(409, 'Only archived products can be purged');
+
+  const references = await findProductReferences(product._id);
+  if (Object.values(references).some(count => count > 0)) {
+    throw createHttpError(409, 'Product is still referenced and cannot be purged', references);
+  }
+
+  await Promise.all([
+    Cart.updateMany({ 'items.product': product._id }, { $pull: { items: { product: product._id } } }),
+    Wishlist.updateMany({ 'items.product': product._id }, { $pull: { items: { product: product._id } } }),
+    StockSubscription.deleteMany({ product: product._id }),
+    StockMovement.deleteMany({ product: product._id })
+  ]);
+  await Product.deleteOne({ _id: product._id });
+  await deleteProductImageFiles(product.images.map(image => image.filename));
+  return product;
+};
+
+// Publish scheduled products whose time has come. Resolves with how many went live.
+const publishDueProducts = async () => {
+  const result = await Product.updateMany(
+    { status: 'scheduled', publishAt: { $lte: new Date() } },
+    [
+      { $set: { status: 'published', isActive: true, publishedAt: '$publishAt' } },
+      { $unset: 'publishAt' }
+    ]
+  );
+  return result.modifiedCount;
+};
+
+// Run the publisher in the background every PUBLISH_SWEEP_SECONDS. Runs never overlap,
+// and the timer doesn't keep the process alive on shutdown.
+const startPublishingScheduler = () => {
+  let publishing = false;
+  const timer = setInterval(async () => {
+    if (publishing) return;
+    publishing = true;
+    try {
+      const published = await publishDueProducts();
+      if (published) console.log(`📣 Published ${published} scheduled product(s)`);
+    } catch (error) {
+      console.error('Error publishing scheduled products:', error);
+    } finally {
+      publishing = false;
+    }
+  }, PUBLISH_SWEEP_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  EDITABLE_STATUSES,
+  setProductStatus,
+  archiveProduct,
+  restoreProduct,
+  findProductReferences,
+  purgeProduct,
+  publishDueProducts,
+  startPublishingScheduler
+};
@@ -0,0 +1,50 @@
+const createMemoryStore = require('./memoryStore');
+
+/**
+ * Counters behind the rate limiter. A store is any object with
+ *   increment(key, windowMs) - count one hit in the key's current window;
+ *                              resolves to { count, resetAt } (resetAt is a Date)
+ *   reset(key)               - forget the key's count
+ * The in-memory store is the default. Deployments with several instances register a
+ * shared one (Redis INCR + PEXPIRE fits) and pick it with RATE_LIMIT_STORE.
+ */
+const factories = {
+  memory: createMemoryStore
+};
+
+let store;
+
+// Register a store factory, e.g. registerRateLimitStore('redis', () => createRedisStore(client))
+const registerRateLimitStore = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown rate limit store: ${name}`);
+    store = factory();
+  }
+  return store;
+};
+
+// Replace the active store, e.g. with a fresh in-memory one in tests
+const setRateLimitStore = (custom) => {
+  store = custom;
+};
+
+// Store key of one bucket of a policy, e.g. login:account:someone@example.com
+const rateLimitKey = (policy, bucket, id) => `${policy}:${bucket}:${id}`;
+
+// Clear one bucket, e.g. an account's login count when staff unlock it
+const resetRateLimit = (policy, bucket, id) => getRateLimitStore().reset(rateLimitKey(policy, bucket, id));
+
+module.exports = {
+  createMemoryStore,
+  registerRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  rateLimitKey,
+  resetRateLimit
+};
@@ -0,0 +1,39 @@
+// Default rate limit store: fixed-window counters in this process's memory. Every server
+// instance counts on its own, so deployments running several should plug in a shared store.
+const SWEEP_SECONDS = 60;
+
+const createMemoryStore = () => {
+  const counters = new Map();
+  let sweeper = null;
+
+  // Drop lapsed windows now and then so idle keys don't pile up
+  const startSweeper = () => {
+    sweeper = setInterval(() => {
+      const now = Date.now();
+      counters.forEach((counter, key) => {
+        if (counter.resetAt <= now) counters.delete(key);
+      });
+    }, SWEEP_SECONDS * 1000);
+    sweeper.unref();
+  };
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      if (!sweeper) startSweeper();
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
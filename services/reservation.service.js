@@ -0,0 +1,211 @@
+const Product = require('../models/product.model');
+const StockReservation = require('../models/stockReservation.model');
+const createHttpError = require('../utils/httpError');
+const {
+  stockOf,
+  recordMovement,
+  incrementBucket,
+  availableFilter,
+  decrementStock,
+  restoreStock
+} = require('./inventory.service');
+
+// How long checkout holds stock for an unpaid order, and how often lapsed holds are swept
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES || 15);
+const RESERVATION_SWEEP_SECONDS = Number(process.env.RESERVATION_SWEEP_SECONDS || 60);
+const SWEEP_BATCH_SIZE = 500;
+
+const lineKey = (line) => `${line.product}:${line.variant || ''}`;
+
+// Keys of an order's lines that already turned into a sale
+const findConvertedKeys = async (orderId) => {
+  const converted = await StockReservation.find({ order: orderId, status: 'converted' }).select('product variant');
+  return new Set(converted.map(lineKey));
+};
+
+// Give back the reserved count a line was holding
+const unholdStock = (line) => Product.updateOne(
+  line.variant ? { _id: line.product, 'variants._id': line.variant } : { _id: line.product },
+  ...incrementBucket(line, { reserved: -line.quantity })
+);
+
+// Hold stock for every line ({ product, variant, quantity, name }) of an unpaid order.
+// Each hold only succeeds while enough unreserved stock is left; if any line can't be held,
+// the lines already held are let go and a 409 is thrown. Resolves with the expiry time.
+const reserveStock = async (lines, { order, user } = {}) => {
+  const held = [];
+
+  for (const line of lines) {
+    const result = await Product.updateOne(availableFilter(line), ...incrementBucket(line, { reserved: line.quantity }));
+    if (!result.modifiedCount) {
+      for (const entry of held) await unholdStock(entry);
+      throw createHttpError(409, `Insufficient stock for ${line.name || 'product'}`, {
+        productId: line.product,
+        variantId: line.variant
+      });
+    }
+    held.push(line);
+  }
+
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+  try {
+    await StockReservation.insertMany(held.map(line => ({
+      order,
+      user,
+      product: line.product,
+      variant: line.variant || null,
+      quantity: line.quantity,
+      expiresAt
+    })));
+  } catch (error) {
+    for (const entry of held) await unholdStock(entry);
+    throw error;
+  }
+  return expiresAt;
+};
+
+// End one active reservation without a sale. The status change is claimed atomically so a
+// reservation is only ever let go once, even with the sweeper running alongside a cancel.
+const releaseReservation = async (reservation, reason) => {
+  const claimed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { $set: { status: 'released', releaseReason: reason, releasedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  await unholdStock(claimed);
+  return true;
+};
+
+// Let go of every active reservation held for an order. Resolves with how many were released.
+const releaseOrderReservations = async (orderId, reason) => {
+  const reservations = await StockReservation.find({ order: orderId, status: 'active' });
+  let released = 0;
+  for (const reservation of reservations) {
+    if (await releaseReservation(reservation, reason)) released += 1;
+  }
+  return released;
+};
+
+// Turn an order's reservations into real decrements once it is paid. Lines whose hold has
+// lapsed (or can no longer be honoured) fall back to an ordinary decrement, which throws a
+// 409 if the stock has since been sold to someone else. All or nothing: on that 409 the lines
+// converted here are put back, so an order that can't be fulfilled keeps no stock.
+// Lines already converted by an earlier call are never taken twice.
+const commitOrderReservations = async (order, { user } = {}) => {
+  const reservations = await StockReservation.find({ order: order._id, status: 'active' });
+  const convertedNow = [];
+
+  for (const reservation of reservations) {
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { $set: { status: 'converted', convertedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const line = { product: claimed.product, variant: claimed.variant, quantity: claimed.quantity };
+    const updated = await Product.findOneAndUpdate(
+      line.variant
+        ? { _id: line.product, variants: { $elemMatch: { _id: line.variant, stock: { $gte: line.quantity } } } }
+        : { _id: line.product, stock: { $gte: line.quantity } },
+      ...incrementBucket(line, { stock: -line.quantity, reserved: -line.quantity })
+    );
+
+    // Stock was counted down below the hold (e.g. a manual adjustment): drop the hold instead
+    if (!updated) {
+      await unholdStock(line);
+      await StockReservation.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'released', releaseReason: 'stock-unavailable', releasedAt: new Date() }, $unset: { convertedAt: '' } }
+      );
+      continue;
+    }
+
+    await recordMovement(updated, line.variant, {
+      reason: 'sale', quantity: -line.quantity, after: stockOf(updated, line.variant), user, order: order._id
+    });
+    convertedNow.push({ reservation: claimed, line });
+  }
+
+  const committed = await findConvertedKeys(order._id);
+  const remaining = order.items.filter(item => !committed.has(lineKey(item)));
+  if (!remaining.length) return;
+
+  try {
+    await decrementStock(remaining, { user, order: order._id });
+  } catch (error) {
+    if (convertedNow.length) {
+      await restoreStock(convertedNow.map(entry => entry.line), {
+        reason: 'cancellation', user, order: order._id, note: 'Order could not be fulfilled'
+      });
+      await StockReservation.updateMany(
+        { _id: { $in: convertedNow.map(entry => entry.reservation._id) }, status: 'converted' },
+        { $set: { status: 'released', releaseReason: 'stock-unavailable', releasedAt: new Date() }, $unset: { convertedAt: '' } }
+      );
+    }
+    throw error;
+  }
+};
+
+// Make sure an unpaid order still holds its stock, reserving it again if the hold lapsed.
+// Resolves with the (possibly new) expiry time; throws a 409 if the stock has gone.
+const ensureOrderReservation = async (order) => {
+  const converted = await findConvertedKeys(order._id);
+  const lines = order.items.filter(item => !converted.has(lineKey(item)));
+  const active = await StockReservation.find({ order: order._id, status: 'active' });
+  const held = new Set(active.map(lineKey));
+
+  if (lines.every(item => held.has(lineKey(item)))) {
+    return active.reduce((earliest, reservation) => (
+      !earliest || reservation.expiresAt < earliest ? reservation.expiresAt : earliest
+    ), null);
+  }
+
+  await releaseOrderReservations(order._id, 'renewed');
+  return reserveStock(lines, { order: order._id, user: order.user._id || order.user });
+};
+
+// Release reservations whose time is up. Resolves with how many were released.
+const sweepExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(SWEEP_BATCH_SIZE);
+
+  let released = 0;
+  for (const reservation of expired) {
+    if (await releaseReservation(reservation, 'expired')) released += 1;
+  }
+  return released;
+};
+
+// Run the sweeper in the background every RESERVATION_SWEEP_SECONDS. Sweeps never overlap,
+// and the timer doesn't keep the process alive on shutdown.
+const startReservationSweeper = () => {
+  let sweeping = false;
+  const timer = setInterval(async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      const released = await sweepExpiredReservations();
+      if (released) console.log(`⏱️ Released ${released} expired stock reservation(s)`);
+    } catch (error) {
+      console.error('Error sweeping stock reservations:', error);
+    } finally {
+      sweeping = false;
+    }
+  }, RESERVATION_SWEEP_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  reserveStock,
+  releaseOrderReservations,
+  commitOrderReservations,
+  ensureOrderReservation,
+  sweepExpiredReservations,
+  startReservationSweeper
+};
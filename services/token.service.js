@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
+const createHttpError = require('../utils/httpError');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random>"; only the hash is stored
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+// Short-lived JWT naming the user and the session it belongs to
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+const buildTokenResponse = (userId, session, refreshToken) => ({
+  token: generateAccessToken(userId, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+// Start a new device session for the user and issue its first token pair
+const issueSession = async (userId, req) => {
+  const session = new Session({
+    user: userId,
+    tokenHash: 'pending',
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return buildTokenResponse(userId, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a token that was already rotated out means it was copied, so the
+ * whole session (token family) is revoked and both holders must sign in again.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) {
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const newToken = createRefreshToken(refreshToken.split('.')[0]);
+
+  // Rotate only if the presented token is still the current one (atomic against parallel use)
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(newToken), lastUsedAt: new Date(), expiresAt: refreshExpiry(), ...clientInfo(req) },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -50 } }
+    },
+    { new: true }
+  );
+
+  if (session) return { userId: session.user, ...buildTokenResponse(session.user, session, newToken) };
+
+  const reused = await Session.findOne({ previousTokenHashes: presentedHash });
+  if (reused && !reused.revokedAt) {
+    reused.revokedAt = new Date();
+    reused.revokedReason = 'token-reuse';
+    await reused.save();
+    console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked`);
+  }
+
+  throw createHttpError(401, 'Invalid or expired refresh token');
+};
+
+// Look up the session behind an access token and check it is still usable
+const findActiveSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  return session && session.isActive() ? session : null;
+};
+
+const revokeSession = (sessionId, reason) => {
+  return Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = {
+  JWT_SECRET,
+  issueSession,
+  rotateRefreshToken,
+  findActiveSession,
+  revokeSession
+};
@@ -0,0 +1,104 @@
+// Minimal RFC 4180 CSV reading and writing for spreadsheet imports and exports
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings). Handles quoted fields with
+ * embedded commas, quotes and newlines, CRLF line endings and a leading byte-order mark.
+ * Blank lines are skipped. Throws when a quoted field is never closed.
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) throw new Error('CSV has an unclosed quoted field');
+  if (field !== '' || row.length) endRow();
+  return rows;
+};
+
+// Spreadsheet apps run cells starting with these as formulas, so toCsvField prefixes them
+// with an apostrophe to keep them text. Values that already start with one are prefixed too,
+// which lets unguardField drop exactly one apostrophe and get the original value back.
+const FORMULA_PREFIX = /^['=+\-@\t\r]/;
+
+// Undo toCsvField's formula guard on a value read back in
+const unguardField = (value) => (value[0] === "'" && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+
+// Turn parsed rows into objects keyed by the (trimmed) header row. Empty cells are left out,
+// and the apostrophe our exports put in front of formula-like values is removed.
+const rowsToRecords = (rows) => {
+  if (!rows.length) return [];
+  const header = rows[0].map(name => name.trim());
+  return rows.slice(1).map(row => {
+    const record = {};
+    header.forEach((name, index) => {
+      const value = row[index] === undefined ? '' : unguardField(row[index].trim());
+      if (name && value !== '') record[name] = value;
+    });
+    return record;
+  });
+};
+
+// Format one value as a CSV field, quoting only when needed. Dates and ObjectIds are written
+// as plain text, other objects and arrays as JSON.
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object' && typeof value.toHexString === 'function') text = value.toHexString();
+  else text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one row of values as a CSV line, including the trailing CRLF
+const toCsvLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  rowsToRecords,
+  toCsvField,
+  toCsvLine
+};
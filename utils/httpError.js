@@ -0,0 +1,9 @@
+// Create an Error carrying an HTTP status, picked up by controllers and the global error handler
+const createHttpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) error.details = details;
+  return error;
+};
+
+module.exports = createHttpError;
@@ -0,0 +1,108 @@
+const createHttpError = require('./httpError');
+
+// Read `options`/`variants` from a JSON body, or from JSON strings in multipart form fields
+const parseVariantInput = (body) => {
+  const parseField = (key) => {
+    const value = body[key];
+    if (value === undefined) return undefined;
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        throw createHttpError(400, `${key} must be valid JSON`);
+      }
+    }
+    if (!Array.isArray(parsed)) throw createHttpError(400, `${key} must be an array`);
+    return parsed;
+  };
+
+  const options = parseField('options');
+  const variants = parseField('variants');
+
+  if (variants !== undefined) {
+    variants.forEach(variant => {
+      if (!variant || typeof variant !== 'object') throw createHttpError(400, 'Each variant must be an object');
+      if (variant.price !== undefined && variant.price !== null && Number(variant.price) <= 0) {
+        throw createHttpError(400, 'Variant price must be greater than 0');
+      }
+      if (Number(variant.stock) < 0) throw createHttpError(400, 'Stock cannot be negative');
+    });
+  }
+
+  return { options, variants };
+};
+
+// Pick the writable fields of a variant, keeping the existing _id when the SKU is unchanged so
+// cart lines and orders that point at it stay valid. Reserved counts are never carried over
+// from input; they only change through checkout reservations.
+const toVariantData = (variant, existingVariants = []) => {
+  const sku = String(variant.sku || '').trim().toUpperCase();
+  const existing = existingVariants.find(v => v.sku === sku);
+  return {
+    ...(existing && { _id: existing._id }),
+    sku,
+    options: variant.options || {},
+    price: variant.price === undefined || variant.price === null ? undefined : parseFloat(variant.price),
+    stock: parseInt(variant.stock) || 0,
+    image: variant.image,
+    isActive: variant.isActive === undefined ? true : Boolean(variant.isActive)
+  };
+};
+
+// Check the fields a new product needs. Returns an error message, or null when the input is usable.
+// `hasUploads` is set when images arrive as files instead of an `image` URL.
+const checkNewProductInput = (body, { hasVariants = false, hasUploads = false } = {}) => {
+  const { name, description, price, image, category, stock } = body;
+
+  // Validation (stock is per variant when variants are given)
+  if (!name || !description || !price || (!image && !hasUploads) || !category || (stock === undefined && !hasVariants)) {
+    return 'All fields are required: name, description, price, image, category, stock';
+  }
+  if (price <= 0) return 'Price must be greater than 0';
+  if (stock < 0) return 'Stock cannot be negative';
+  return null;
+};
+
+// Product fields for a complete product input, after checkNewProductInput has passed.
+// `existingVariants` keeps variant ids when the input replaces an existing product's variants.
+const toProductData = (body, { options, variants }, existingVariants = []) => {
+  const { name, description, price, image, category, stock, brand, hsnCode, gstRate, weight, lowStockThreshold } = body;
+  const hasVariants = Boolean(variants && variants.length);
+
+  return {
+    name,
+    description,
+    price: parseFloat(price),
+    image,
+    category,
+    stock: hasVariants ? 0 : parseInt(stock),
+    brand: brand || 'MadeInIndia',
+    hsnCode,
+    gstRate: gstRate !== undefined && gstRate !== '' ? Number(gstRate) : undefined,
+    weight: weight !== undefined ? Number(weight) : undefined,
+    lowStockThreshold: lowStockThreshold !== undefined && lowStockThreshold !== '' ? Number(lowStockThreshold) : undefined,
+    options: options || [],
+    variants: (variants || []).map(variant => toVariantData(variant, existingVariants))
+  };
+};
+
+// Point a product at a new main image URL. Products with a gallery get the URL added to it
+// (if it isn't there yet) as the primary image; others just have `image` replaced.
+const applyImageUrl = (product, image) => {
+  if (product.images.length) {
+    const existing = product.images.find(entry => entry.url === image);
+    if (!existing) product.addImages([{ url: image }]);
+    product.setPrimaryImage((existing || product.images[product.images.length - 1])._id);
+  } else {
+    product.image = image;
+  }
+};
+
+module.exports = {
+  parseVariantInput,
+  toVariantData,
+  checkNewProductInput,
+  toProductData,
+  applyImageUrl
+};
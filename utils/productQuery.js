@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const createHttpError = require('./httpError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sort keys accepted by ?sort=, each with a unique _id tiebreaker for stable paging
+const SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  'price-asc': { field: 'price', direction: 1 },
+  'price-desc': { field: 'price', direction: -1 },
+  rating: { field: 'rating', direction: -1 }
+};
+
+const LISTING_PARAMS = ['page', 'limit', 'cursor', 'category', 'brand', 'minPrice', 'maxPrice', 'minRating', 'inStock', 'sort'];
+
+// Accept a plain string value; objects such as price[$gt]=1 are operator injection attempts
+const readString = (query, key, errors) => {
+  const value = query[key];
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    errors.push(`${key} must be a plain value; operators are not supported`);
+    return undefined;
+  }
+  return value.trim();
+};
+
+// Accept ?key=a,b or ?key=a&key=b
+const readList = (query, key, errors) => {
+  const value = query[key];
+  if (value === undefined) return undefined;
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some(item => typeof item !== 'string')) {
+    errors.push(`${key} must be a plain value; operators are not supported`);
+    return undefined;
+  }
+  const list = values.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+  return list.length ? list : undefined;
+};
+
+const readNumber = (query, key, errors, { min, max, integer } = {}) => {
+  const raw = readString(query, key, errors);
+  if (raw === undefined || raw === '') return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) ||
+      (min !== undefined && value < min) || (max !== undefined && value > max)) {
+    const range = [min !== undefined && `>= ${min}`, max !== undefined && `<= ${max}`].filter(Boolean).join(' and ');
+    errors.push(`${key} must be ${integer ? 'an integer' : 'a number'}${range ? ` ${range}` : ''}`);
+    return undefined;
+  }
+  return value;
+};
+
+const encodeCursor = (doc, sort) => {
+  const value = doc[sort.field];
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+// Cursors come from the client, so the position must be the plain value the sort field
+// holds (a number, or an ISO timestamp for createdAt); anything else, such as an object
+// smuggling in query operators, is rejected
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    let value;
+    if (sort.field === 'createdAt') {
+      if (typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}T/.test(v)) return null;
+      value = new Date(v);
+      if (isNaN(value)) return null;
+    } else {
+      if (typeof v !== 'number' || !Number.isFinite(v)) return null;
+      value = v;
+    }
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset condition selecting documents after the cursor position
+const cursorCondition = ({ value, id }, sort) => {
+  const op = sort.direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+/**
+ * Parse and validate product listing query params.
+ * Returns { criteria, sort, sortKey, page, limit, skip, cursor } where criteria maps
+ * each filter name to a Mongo condition, so callers can drop individual filters
+ * (e.g. when counting facets). Throws a 400 error listing every invalid param.
+ */
+const parseProductQuery = (query, { extraParams = [], defaultSort = 'newest' } = {}) => {
+  const errors = [];
+  const allowed = [...LISTING_PARAMS, ...extraParams];
+
+  const unknown = Object.keys(query).filter(key => !allowed.includes(key));
+  if (unknown.length) errors.push(`Unknown query parameter(s): ${unknown.join(', ')}`);
+
+  const criteria = {};
+
+  const categories = readList(query, 'category', errors);
+  if (categories) criteria.category = { category: { $in: categories.map(c => c.toLowerCase()) } };
+
+  const brands = readList(query, 'brand', errors);
+  if (brands) criteria.brand = { brand: { $in: brands } };
+
+  const minPrice = readNumber(query, 'minPrice', errors, { min: 0 });
+  const maxPrice = readNumber(query, 'maxPrice', errors, { min: 0 });
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push('minPrice cannot be greater than maxPrice');
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    criteria.price = {
+      price: {
+        ...(minPrice !== undefined && { $gte: minPrice }),
+        ...(maxPrice !== undefined && { $lte: maxPrice })
+      }
+    };
+  }
+
+  const minRating = readNumber(query, 'minRating', errors, { min: 0, max: 5 });
+  if (minRating !== undefined) criteria.rating = { rating: { $gte: minRating } };
+
+  const inStock = readString(query, 'inStock', errors);
+  if (inStock !== undefined) {
+    if (!['true', 'false'].includes(inStock)) errors.push('inStock must be true or false');
+    // Stock held by unpaid checkouts can't be bought, so it doesn't count
+    else if (inStock === 'true') {
+      criteria.inStock = { $expr: { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0] } };
+    }
+  }
+
+  const sortKey = readString(query, 'sort', errors) || defaultSort;
+  const sort = SORTS[sortKey];
+  if (!sort && sortKey !== defaultSort) {
+    errors.push(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  const limit = readNumber(query, 'limit', errors, { min: 1, max: MAX_LIMIT, integer: true }) || DEFAULT_LIMIT;
+  const page = readNumber(query, 'page', errors, { min: 1, integer: true }) || 1;
+
+  let cursor;
+  const rawCursor = readString(query, 'cursor', errors);
+  if (rawCursor) {
+    if (query.page !== undefined) errors.push('Use either page or cursor, not both');
+    else if (!sort) errors.push(`cursor pagination is not available for sort=${sortKey}`);
+    else {
+      cursor = decodeCursor(rawCursor, sort);
+      if (!cursor) errors.push('cursor is invalid');
+    }
+  }
+
+  if (errors.length) throw createHttpError(400, 'Invalid query parameters', errors);
+
+  return { criteria, sort, sortKey, page, limit, skip: cursor ? 0 : (page - 1) * limit, cursor };
+};
+
+// Combine parsed criteria into a Mongo filter over active products, leaving out the named filters
+const buildProductFilter = (criteria, omit = []) => {
+  const conditions = Object.entries(criteria)
+    .filter(([name]) => !omit.includes(name))
+    .map(([, condition]) => condition);
+  return Object.assign({ isActive: true }, ...conditions);
+};
+
+// Mongo sort spec for a parsed sort, always tie-broken on _id
+const toMongoSort = (sort) => ({ [sort.field]: sort.direction, _id: sort.direction });
+
+module.exports = {
+  SORTS,
+  parseProductQuery,
+  buildProductFilter,
+  toMongoSort,
+  encodeCursor,
+  cursorCondition
+};
@@ -0,0 +1,66 @@
+// Escape user input so it matches literally inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a pattern matching any word that starts with `term` or with a string one
+ * edit away from it (substitution, insertion, deletion or swap of adjacent letters).
+ * Every alternative is a fixed, escaped literal joined by single `.` wildcards,
+ * so the pattern has no nested quantifiers and cannot backtrack catastrophically.
+ */
+const fuzzyPrefixPattern = (term) => {
+  const chars = [...term.toLowerCase()];
+  const variants = new Set([escapeRegex(term.toLowerCase())]);
+
+  for (let i = 0; i < chars.length; i++) {
+    const before = escapeRegex(chars.slice(0, i).join(''));
+    const after = escapeRegex(chars.slice(i + 1).join(''));
+    const rest = escapeRegex(chars.slice(i).join(''));
+
+    variants.add(`${before}.${after}`); // substitution
+    variants.add(`${before}.${rest}`); // insertion
+    if (chars.length > 1) variants.add(`${before}${after}`); // deletion
+    if (i < chars.length - 1) {
+      variants.add(`${before}${escapeRegex(chars[i + 1] + chars[i])}${escapeRegex(chars.slice(i + 2).join(''))}`); // swap
+    }
+  }
+
+  return `(^|\\s)(${[...variants].join('|')})`;
+};
+
+// Edit distance counting a swap of adjacent letters as one edit (optimal string alignment),
+// used to rank fuzzy suggestions
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Smallest edit distance between `term` and the start of any word in `text`.
+// Word prefixes one letter shorter and longer are compared too, to allow for an
+// inserted or missing letter.
+const closestWordPrefixDistance = (text, term) => {
+  const needle = term.toLowerCase();
+  const lengths = [needle.length - 1, needle.length, needle.length + 1].filter(length => length > 0);
+  return String(text || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((best, word) => Math.min(best, ...lengths.map(length => editDistance(word.slice(0, length), needle))), Infinity);
+};
+
+module.exports = {
+  escapeRegex,
+  fuzzyPrefixPattern,
+  editDistance,
+  closestWordPrefixDistance
+};